@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  LOGVIEW — read the NDJSON log files from the command line
+ *  Traditional JavaScript — no arrow functions, var only
+ * ============================================================
+ *
+ *  logview tail   [-f] [-n 20] [filters] [file]
+ *  logview grep   [filters] [file]
+ *  logview stats  [filters] [file]
+ *  logview pretty [filters] [file]      (reads stdin when no file is given)
+ */
+
+"use strict";
+
+var fs       = require("fs");
+var path     = require("path");
+var readline = require("readline");
+var logging  = require("../index.js");
+
+var LOG_LEVELS    = logging.LOG_LEVELS;
+var ANSI          = logging.ANSI;
+var entryToText   = logging.entryToText;
+var compileQuery  = logging.compileQuery;
+var queryLogFiles = logging.queryLogFiles;
+var resolveFormatter = logging.resolveFormatter;
+
+var DEFAULT_FILE  = path.join(process.cwd(), "logs", "app.json.log");
+var POLL_MS       = 500;
+var READ_CHUNK    = 64 * 1024;
+
+var USAGE = [
+  "Usage: logview <command> [options] [file]",
+  "",
+  "Commands:",
+  "  tail     Print the last lines of a log; -f follows it across rotations",
+  "  grep     Search the log and all its rotated copies",
+  "  stats    Count entries per level and context",
+  "  pretty   Colorize raw JSON lines (stdin when no file is given)",
+  "",
+  "Filters (same as Logger#query):",
+  "  --level <LEVEL>         minimum level",
+  "  --context <name>        context name or glob; repeat or comma-separate",
+  "  --search <text>         substring of the message",
+  "  --regex <pattern>       regex tested against the message",
+  "  -i, --ignore-case       case-insensitive --search / --regex",
+  "  --since <time>          ISO timestamp or relative: 30s, 10m, 2h, 7d",
+  "  --until <time>          ISO timestamp or relative",
+  "  --where <expr>          e.g. \"meta.status >= 500\"; repeatable",
+  "  --limit <n>             stop after n matches (grep)",
+  "",
+  "Output:",
+  "  -f, --follow            keep reading new lines (tail)",
+  "  -n, --lines <n>         lines to show first (tail, default 10)",
+  "  --json                  print raw JSON lines",
+  "  --format <f>            logfmt, ecs, gelf, json, text or a template such as",
+  "                          \"{timestamp} {level} {message} {meta.requestId}\"",
+  "  --color / --no-color    force colors on or off (default: on for a TTY)",
+  "",
+  "Default file: ./logs/app.json.log"
+].join("\n");
+
+// ─────────────────────────────────────────────
+//  ARGUMENTS
+// ─────────────────────────────────────────────
+
+function parseDuration(value) {
+  var m = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/.exec(value);
+  if (!m) { return null; }
+  var unit = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2]];
+  return Number(m[1]) * unit;
+}
+
+// "10m" → ten minutes ago; anything else is taken as a timestamp
+function parseTime(value) {
+  var ago = parseDuration(value);
+  return (ago !== null) ? Date.now() - ago : value;
+}
+
+function parseArgs(argv) {
+  var args = { command: argv[0], filters: {}, where: [], contexts: [], file: null,
+    follow: false, lines: 10, json: false, format: null, color: process.stdout.isTTY === true };
+  var f = args.filters;
+
+  for (var i = 1; i < argv.length; i++) {
+    var a = argv[i];
+    switch (a) {
+      case "-f": case "--follow":      args.follow = true; break;
+      case "-n": case "--lines":       args.lines = parseInt(argv[++i], 10); break;
+      case "--json":                   args.json = true; break;
+      case "--format":                 args.format = resolveFormatter(argv[++i]); break;
+      case "--color":                  args.color = true; break;
+      case "--no-color":               args.color = false; break;
+      case "-i": case "--ignore-case": f.ignoreCase = true; break;
+      case "--level":                  f.level = String(argv[++i]).toUpperCase(); break;
+      case "--context":                args.contexts = args.contexts.concat(String(argv[++i]).split(",")); break;
+      case "--search":                 f.search = argv[++i]; break;
+      case "--regex":                  f.regex = argv[++i]; break;
+      case "--since":                  f.since = parseTime(argv[++i]); break;
+      case "--until":                  f.until = parseTime(argv[++i]); break;
+      case "--where":                  args.where.push(argv[++i]); break;
+      case "--limit":                  f.limit = parseInt(argv[++i], 10); break;
+      case "-h": case "--help":        args.command = "help"; break;
+      default:
+        if (a.charAt(0) === "-") { throw new Error("Unknown option: " + a); }
+        args.file = a;
+    }
+  }
+
+  if (args.contexts.length > 0) { f.context = args.contexts; }
+  if (args.where.length > 0)    { f.where = args.where; }
+  return args;
+}
+
+// ─────────────────────────────────────────────
+//  OUTPUT
+// ─────────────────────────────────────────────
+
+function printEntry(entry, args) {
+  var line = args.json ? JSON.stringify(entry)
+    : (args.format ? args.format(entry) : entryToText(entry, args.color));
+  process.stdout.write(line + "\n");
+}
+
+// Parses a raw line; non-JSON lines come back as null
+function parseLine(line) {
+  try {
+    var entry = JSON.parse(line);
+    return (entry && typeof entry.message === "string" && typeof entry.level === "string") ? entry : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function LineSplitter(onLine) {
+  this._onLine  = onLine;
+  this._partial = "";
+}
+
+LineSplitter.prototype.push = function(text) {
+  var lines = (this._partial + text).split("\n");
+  this._partial = lines.pop();
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i]) { this._onLine(lines[i]); }
+  }
+};
+
+// ─────────────────────────────────────────────
+//  COMMANDS
+// ─────────────────────────────────────────────
+
+// Last `count` lines of an open file, read backwards in chunks
+function readLastLines(fd, size, count) {
+  var text = "";
+  var pos  = size;
+  while (pos > 0) {
+    var len = Math.min(READ_CHUNK, pos);
+    var buf = Buffer.alloc(len);
+    pos -= len;
+    fs.readSync(fd, buf, 0, len, pos);
+    text = buf.toString("utf8") + text;
+    if (text.split("\n").length > count + 1) { break; }
+  }
+  var lines = text.split("\n").filter(function(l) { return l.length > 0; });
+  return lines.slice(Math.max(0, lines.length - count));
+}
+
+function cmdTail(args, file) {
+  var match = compileQuery(args.filters);
+  var onLine = function(line) {
+    var entry = parseLine(line);
+    if (!entry) { if (!args.json) { process.stdout.write(line + "\n"); } return; }
+    if (match(entry)) { printEntry(entry, args); }
+  };
+
+  var fd   = fs.openSync(file, "r");
+  var stat = fs.fstatSync(fd);
+  var ino  = stat.ino;
+  var pos  = stat.size;
+  readLastLines(fd, stat.size, args.lines).forEach(onLine);
+  if (!args.follow) { fs.closeSync(fd); return; }
+
+  var splitter = new LineSplitter(onLine);
+
+  function drain() {
+    var size = fs.fstatSync(fd).size;
+    while (pos < size) {
+      var len = Math.min(READ_CHUNK, size - pos);
+      var buf = Buffer.alloc(len);
+      var n   = fs.readSync(fd, buf, 0, len, pos);
+      if (n <= 0) { break; }
+      pos += n;
+      splitter.push(buf.toString("utf8", 0, n));
+    }
+  }
+
+  setInterval(function() {
+    drain();
+    var current;
+    try { current = fs.statSync(file); } catch (e) { return; }   // between rename and re-create
+
+    if (current.ino !== ino) {
+      // Rotated: finish the old file, then start the new one from the top
+      fs.closeSync(fd);
+      fd  = fs.openSync(file, "r");
+      ino = fs.fstatSync(fd).ino;
+      pos = 0;
+      drain();
+    } else if (current.size < pos) {
+      pos = 0;   // truncated in place
+      drain();
+    }
+  }, POLL_MS);
+}
+
+function cmdGrep(args, file) {
+  var iterator = queryLogFiles(file, args.filters);
+  function step() {
+    iterator.next().then(function(result) {
+      if (result.done) { return; }
+      printEntry(result.value, args);
+      step();
+    }, fail);
+  }
+  step();
+}
+
+function padEnd(str, len) {
+  str = String(str);
+  while (str.length < len) { str += " "; }
+  return str;
+}
+
+function cmdStats(args, file) {
+  var iterator = queryLogFiles(file, args.filters);
+  var levels   = {};
+  var contexts = {};
+  var total    = 0;
+  var first    = null;
+  var last     = null;
+
+  function print() {
+    var bold  = args.color ? ANSI.bold  : "";
+    var reset = args.color ? ANSI.reset : "";
+    var out   = [];
+    out.push(bold + "Entries: " + total + reset + (first ? "  (" + first + " → " + last + ")" : ""));
+    out.push("");
+    out.push(bold + "By level" + reset);
+    Object.keys(levels).sort(function(a, b) {
+      return (LOG_LEVELS[a] || 0) - (LOG_LEVELS[b] || 0);
+    }).forEach(function(lvl) {
+      var color = args.color ? (ANSI[lvl.toLowerCase()] || ANSI.info) : "";
+      out.push("  " + color + padEnd(lvl, 8) + reset + " " + levels[lvl]);
+    });
+    out.push("");
+    out.push(bold + "By context" + reset);
+    Object.keys(contexts).sort(function(a, b) { return contexts[b] - contexts[a]; }).forEach(function(ctx) {
+      out.push("  " + padEnd(ctx, 20) + " " + contexts[ctx]);
+    });
+    process.stdout.write(out.join("\n") + "\n");
+  }
+
+  function step() {
+    iterator.next().then(function(result) {
+      if (result.done) { print(); return; }
+      var e = result.value;
+      total++;
+      levels[e.level]     = (levels[e.level] || 0) + 1;
+      contexts[e.context] = (contexts[e.context] || 0) + 1;
+      if (!first) { first = e.timestamp; }
+      last = e.timestamp;
+      step();
+    }, fail);
+  }
+  step();
+}
+
+function cmdPretty(args, file) {
+  var match = compileQuery(args.filters);
+  var input = file ? fs.createReadStream(file) : process.stdin;
+  input.on("error", function(err) {
+    fail(err.code === "ENOENT" ? new Error("No such file: " + file) : err);
+  });
+  var rl    = readline.createInterface({ input: input, crlfDelay: Infinity });
+  rl.on("line", function(line) {
+    var entry = parseLine(line);
+    if (!entry) {
+      if (line) { process.stdout.write(line + "\n"); }
+      return;
+    }
+    if (match(entry)) { printEntry(entry, args); }
+  });
+}
+
+function fail(err) {
+  process.stderr.write("logview: " + err.message + "\n");
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+//  MAIN
+// ─────────────────────────────────────────────
+
+function main(argv) {
+  var args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(err.message + "\n\n" + USAGE + "\n");
+    process.exit(2);
+  }
+
+  process.stdout.on("error", function(err) {
+    if (err.code === "EPIPE") { process.exit(0); }   // e.g. piped into `head`
+    throw err;
+  });
+
+  if (args.command === "pretty") {
+    cmdPretty(args, args.file);
+    return;
+  }
+  if (args.command !== "tail" && args.command !== "grep" && args.command !== "stats") {
+    process.stdout.write(USAGE + "\n");
+    process.exit(args.command === "help" || !args.command ? 0 : 2);
+  }
+
+  var file = args.file || DEFAULT_FILE;
+  if (!fs.existsSync(file) && args.command === "tail") {
+    fail(new Error("No such file: " + file));
+  }
+
+  try {
+    if (args.command === "tail")  { cmdTail(args, file); }
+    if (args.command === "grep")  { cmdGrep(args, file); }
+    if (args.command === "stats") { cmdStats(args, file); }
+  } catch (err) {
+    fail(err);
+  }
+}
+
+main(process.argv.slice(2));
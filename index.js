@@ -2,7 +2,7 @@
  * ============================================================
  *  ADVANCED LOGGING & MONITORING SYSTEM
  *  Traditional JavaScript — no arrow functions, var only
- *  No Express, no localhost server — pure Node.js modules
+ *  No Express — pure Node.js modules; the HTTP monitor is opt-in
  * ============================================================
  */
 
@@ -13,6 +13,21 @@ var os      = require("os");
 var path    = require("path");
 var events  = require("events");
 var util    = require("util");
+var stream  = require("stream");
+var zlib    = require("zlib");
+var crypto  = require("crypto");
+var readline = require("readline");
+var http    = require("http");
+var https   = require("https");
+var net     = require("net");
+var dgram   = require("dgram");
+var tls     = require("tls");
+var childProcess = require("child_process");
+var AsyncLocalStorage = require("async_hooks").AsyncLocalStorage;
+var perfHooks = require("perf_hooks");
+var v8      = require("v8");
+var cluster = require("cluster");
+var workerThreads = require("worker_threads");
 
 // ─────────────────────────────────────────────
 //  CONSTANTS (kept as var per style requirement)
@@ -44,6 +59,9 @@ var ANSI = {
   border:  "\x1b[90m"    // grey
 };
 
+// Text shown instead of a level's name in text output (see addLevel)
+var LEVEL_LABELS = {};
+
 var LOG_DIR    = path.join(process.cwd(), "logs");
 var MAX_FILE_MB = 5;          // rotate after 5 MB
 var MAX_BACKUPS = 5;          // keep 5 rotated files
@@ -60,15 +78,58 @@ function padStart(str, len, char) {
   return str;
 }
 
-function formatTimestamp(date) {
-  return date.getFullYear()
-    + "-" + padStart(date.getMonth() + 1, 2)
-    + "-" + padStart(date.getDate(), 2)
-    + "T" + padStart(date.getHours(), 2)
-    + ":" + padStart(date.getMinutes(), 2)
-    + ":" + padStart(date.getSeconds(), 2)
-    + "." + padStart(date.getMilliseconds(), 3)
-    + "Z";
+// ISO 8601 timestamp.
+// opts.timezone:  "UTC" (default, "Z" suffix), "local", a fixed offset
+//                 ("+05:30") or an IANA zone name ("Europe/Berlin")
+// opts.precision: "s", "ms" (default) or "us"; `micros` (0–999) supplies
+//                 the digits below the millisecond
+function formatTimestamp(date, opts, micros) {
+  var zone      = (opts && opts.timezone)  || "UTC";
+  var precision = (opts && opts.precision) || "ms";
+  var offset    = zoneOffset(date, zone);
+  var shifted   = new Date(date.getTime() + offset * 60000);
+  var out       = shifted.toISOString().slice(0, 19);
+
+  if (precision !== "s")  { out += "." + padStart(shifted.getUTCMilliseconds(), 3); }
+  if (precision === "us") { out += padStart(micros || 0, 3); }
+  if (zone === "UTC")     { return out + "Z"; }
+  var abs = Math.abs(offset);
+  return out + (offset < 0 ? "-" : "+") + padStart(Math.floor(abs / 60), 2) + ":" + padStart(abs % 60, 2);
+}
+
+var zoneFormats = {};
+
+// Minutes east of UTC in `zone` at `date`; throws on an unknown zone name
+function zoneOffset(date, zone) {
+  if (zone === "UTC")   { return 0; }
+  if (zone === "local") { return -date.getTimezoneOffset(); }
+  var fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(zone);
+  if (fixed) { return (fixed[1] === "-" ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])); }
+
+  if (!zoneFormats[zone]) {
+    zoneFormats[zone] = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric"
+    });
+  }
+  var parts = {};
+  zoneFormats[zone].formatToParts(date).forEach(function(part) { parts[part.type] = part.value; });
+  var wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+}
+
+// Validates the `timestamp` option up front instead of on the first entry
+function checkTimeFormat(opts) {
+  if (!opts) { return null; }
+  if (opts.precision && ["s", "ms", "us"].indexOf(opts.precision) === -1) {
+    throw new Error("timestamp.precision must be \"s\", \"ms\" or \"us\", got \"" + opts.precision + "\"");
+  }
+  try {
+    zoneOffset(new Date(), opts.timezone || "UTC");
+  } catch (err) {
+    throw new Error("Unknown timestamp.timezone \"" + opts.timezone + "\"");
+  }
+  return opts;
 }
 
 function bytesToMB(bytes) {
@@ -104,14 +165,56 @@ function truncateMessage(msg, maxLen) {
   return msg;
 }
 
+// Shallow-copies own properties of each source onto target
+function extend(target) {
+  for (var i = 1; i < arguments.length; i++) {
+    var src = arguments[i];
+    if (!src) { continue; }
+    for (var key in src) {
+      if (src.hasOwnProperty(key)) { target[key] = src[key]; }
+    }
+  }
+  return target;
+}
+
+// Replaces "{path.to.value}" placeholders with values from data
+function interpolate(template, data) {
+  return String(template).replace(/\{([\w.$-]+)\}/g, function(all, fieldPath) {
+    var value = getField(data, fieldPath);
+    if (value === undefined || value === null) { return ""; }
+    return (typeof value === "object") ? safeStringify(value) : String(value);
+  });
+}
+
+// Level names, lowest severity first (custom levels included)
+function levelNames() {
+  return Object.keys(LOG_LEVELS).sort(function(a, b) { return LOG_LEVELS[a] - LOG_LEVELS[b]; });
+}
+
+// Accepts a level name ("warn", "WARN") or numeric code
+function resolveLevel(level, fallback) {
+  if (typeof level === "number") { return level; }
+  if (typeof level === "string" && LOG_LEVELS.hasOwnProperty(level.toUpperCase())) {
+    return LOG_LEVELS[level.toUpperCase()];
+  }
+  return fallback;
+}
+
 // ─────────────────────────────────────────────
 //  LOG ENTRY FORMATTER
 // ─────────────────────────────────────────────
 
-function buildEntry(level, levelName, message, meta, context) {
-  var ts    = new Date();
+// timeFormat: the logger's `timestamp` option (see formatTimestamp)
+function buildEntry(level, levelName, message, meta, context, timeFormat) {
+  var ts     = new Date();
+  var micros = 0;
+  if (timeFormat && timeFormat.precision === "us") {
+    var now = perfHooks.performance.timeOrigin + perfHooks.performance.now();
+    ts     = new Date(Math.floor(now));
+    micros = Math.floor((now % 1) * 1000);
+  }
   var entry = {
-    timestamp: formatTimestamp(ts),
+    timestamp: formatTimestamp(ts, timeFormat, micros),
     level:     levelName,
     levelCode: level,
     pid:       process.pid,
@@ -124,266 +227,4386 @@ function buildEntry(level, levelName, message, meta, context) {
 }
 
 function entryToJson(entry) {
-  return JSON.stringify(entry);
+  return safeStringify(entry);
 }
 
 function entryToText(entry, useColor) {
-  var lvlName  = padStart(entry.level, 7, " ");
+  var lvlName  = padStart(LEVEL_LABELS[entry.level] || entry.level, 7, " ");
   var color    = ANSI[entry.level.toLowerCase()] || ANSI.info;
   var reset    = ANSI.reset;
   var bold     = ANSI.bold;
   var dim      = ANSI.dim;
   var labelC   = ANSI.label;
   var valueC   = ANSI.value;
+  var context  = entry.context + (entry.workerId !== undefined ? "#" + entry.workerId : "");
 
   if (!useColor) {
-    return "[" + entry.timestamp + "] [" + lvlName + "] [" + entry.context + "] " + entry.message
-      + (entry.meta ? " | meta=" + JSON.stringify(entry.meta) : "");
+    return "[" + entry.timestamp + "] [" + lvlName + "] [" + context + "] " + entry.message
+      + (entry.meta ? " | meta=" + safeStringify(entry.meta) : "");
   }
 
   var metaStr = "";
   if (entry.meta) {
-    metaStr = dim + " | " + labelC + "meta=" + valueC + JSON.stringify(entry.meta) + reset;
+    metaStr = dim + " | " + labelC + "meta=" + valueC + safeStringify(entry.meta) + reset;
   }
 
   return labelC + "[" + entry.timestamp + "] " + reset
     + bold + color + "[" + lvlName + "]" + reset
-    + labelC + " [" + entry.context + "] " + reset
+    + labelC + " [" + context + "] " + reset
     + valueC + entry.message + reset
     + metaStr;
 }
 
-// ─────────────────────────────────────────────
-//  FILE ROTATOR
-// ─────────────────────────────────────────────
+// Nested plain objects become dotted keys: { user: { id: 1 } } → "user.id"
+function flattenFields(obj, prefix, out) {
+  for (var key in obj) {
+    if (!obj.hasOwnProperty(key) || obj[key] === undefined) { continue; }
+    var name = prefix ? prefix + "." + key : key;
+    if (isPlainObject(obj[key])) {
+      flattenFields(obj[key], name, out);
+    } else {
+      out[name] = obj[key];
+    }
+  }
+  return out;
+}
 
-function RotatingFileWriter(filePath, maxMB, maxBackups) {
-  this.filePath   = filePath;
-  this.maxMB      = maxMB;
-  this.maxBackups = maxBackups;
-  this._buffer    = [];
-  this._writing   = false;
-  ensureDir(path.dirname(filePath));
+function logfmtValue(value) {
+  if (value === null) { return "null"; }
+  if (typeof value === "number" || typeof value === "boolean") { return String(value); }
+  var text = (typeof value === "object") ? safeStringify(value) : String(value);
+  return (text === "" || /[\s"=\\]|[^\x21-\x7e]/.test(text)) ? JSON.stringify(text) : text;
 }
 
-RotatingFileWriter.prototype.rotate = function() {
-  if (!fs.existsSync(this.filePath)) { return; }
-  for (var i = this.maxBackups - 1; i >= 1; i--) {
-    var from = this.filePath + "." + i;
-    var to   = this.filePath + "." + (i + 1);
-    if (fs.existsSync(from)) { fs.renameSync(from, to); }
+// key=value pairs; meta is flattened and never overrides the standard keys
+function entryToLogfmt(entry) {
+  var fields = { ts: entry.timestamp, level: entry.level.toLowerCase(), context: entry.context, msg: entry.message };
+  if (entry.workerId !== undefined) { fields.worker = entry.workerId; }
+  if (entry.traceId) {
+    fields.trace_id = entry.traceId;
+    fields.span_id  = entry.spanId;
+  }
+  var meta = flattenFields(entry.meta || {}, "", {});
+  for (var key in meta) {
+    if (meta.hasOwnProperty(key) && !fields.hasOwnProperty(key)) { fields[key] = meta[key]; }
   }
-  fs.renameSync(this.filePath, this.filePath + ".1");
-};
 
-RotatingFileWriter.prototype.write = function(line) {
-  this._buffer.push(line);
-};
+  var pairs = [];
+  for (var name in fields) {
+    if (fields.hasOwnProperty(name)) { pairs.push(name.replace(/[\s="]/g, "_") + "=" + logfmtValue(fields[name])); }
+  }
+  return pairs.join(" ");
+}
 
-RotatingFileWriter.prototype.flush = function(callback) {
-  if (this._buffer.length === 0) {
-    if (callback) { callback(); }
-    return;
+var ECS_VERSION = "8.11.0";
+
+// Elastic Common Schema. meta.err becomes `error`; other meta keys stay at
+// the top level unless they clash with an ECS field.
+function entryToEcs(entry) {
+  var meta = entry.meta || {};
+  var err  = meta.err;
+  var doc  = {
+    "@timestamp":  entry.timestamp,
+    "log.level":   entry.level.toLowerCase(),
+    message:       entry.message,
+    "ecs.version": ECS_VERSION,
+    log:           { logger: entry.context },
+    process:       { pid: entry.pid },
+    host:          { hostname: entry.hostname }
+  };
+  if (entry.traceId) {
+    doc.trace = { id: entry.traceId };
+    doc.span  = { id: entry.spanId };
+  }
+  if (entry.workerId !== undefined) { doc.labels = { worker_id: String(entry.workerId) }; }
+  if (isPlainObject(err)) {
+    doc.error = { type: err.name, message: err.message, stack_trace: err.stack };
+    if (err.code !== undefined) { doc.error.code = String(err.code); }
+  } else if (err !== undefined) {
+    doc.error = { message: String(err) };
   }
-  var self   = this;
-  var chunk  = self._buffer.splice(0, self._buffer.length).join("\n") + "\n";
+  for (var key in meta) {
+    if (meta.hasOwnProperty(key) && key !== "err" && !doc.hasOwnProperty(key)) { doc[key] = meta[key]; }
+  }
+  return safeStringify(doc);
+}
 
-  if (getFileSizeMB(self.filePath) >= self.maxMB) {
-    self.rotate();
+// GELF 1.1 (Graylog). Meta keys become "_"-prefixed additional fields.
+function entryToGelf(entry) {
+  var meta = entry.meta || {};
+  var doc  = {
+    version:       "1.1",
+    host:          entry.hostname,
+    short_message: entry.message,
+    timestamp:     Date.parse(entry.timestamp) / 1000,
+    level:         syslogSeverity(entry.levelCode),
+    _level_name:   entry.level,
+    _context:      entry.context,
+    _pid:          entry.pid
+  };
+  if (isPlainObject(meta.err) && meta.err.stack) { doc.full_message = meta.err.stack; }
+  if (entry.workerId !== undefined) { doc._worker_id = entry.workerId; }
+  if (entry.traceId) {
+    doc._trace_id = entry.traceId;
+    doc._span_id  = entry.spanId;
   }
 
-  fs.appendFile(self.filePath, chunk, function(err) {
-    if (err) { process.stderr.write("[RotatingFileWriter] Write error: " + err.message + "\n"); }
-    if (callback) { callback(); }
-  });
+  var fields = flattenFields(meta, "", {});
+  for (var key in fields) {
+    if (!fields.hasOwnProperty(key) || (key === "err.stack" && doc.full_message)) { continue; }
+    var name  = "_" + key.replace(/[^\w.\-]/g, "_");
+    var value = fields[key];
+    if (name === "_id") { name = "_meta_id"; }   // reserved by GELF
+    if (doc.hasOwnProperty(name)) { continue; }
+    doc[name] = (typeof value === "number" || typeof value === "string") ? value
+      : (value !== null && typeof value === "object" ? safeStringify(value) : String(value));
+  }
+  return safeStringify(doc);
+}
+
+// "{timestamp} {level} [{context}] {message} {meta.requestId}" — missing
+// fields print as nothing
+function templateFormatter(template) {
+  return function(entry) { return interpolate(template, entry); };
+}
+
+// Formatters usable by name as a transport's `formatter` option; add more
+// with registerFormatter()
+var formatters = {
+  text:   function(entry) { return entryToText(entry, false); },
+  color:  function(entry) { return entryToText(entry, true); },
+  json:   entryToJson,
+  logfmt: entryToLogfmt,
+  ecs:    entryToEcs,
+  gelf:   entryToGelf
 };
 
+function registerFormatter(name, fn) {
+  if (typeof fn !== "function") { throw new TypeError("Formatter must be a function(entry)"); }
+  formatters[name] = fn;
+}
+
+// A function, a registered name, or a template containing "{field}"
+function resolveFormatter(spec) {
+  if (typeof spec === "function") { return spec; }
+  if (typeof spec === "string") {
+    if (formatters.hasOwnProperty(spec)) { return formatters[spec]; }
+    if (spec.indexOf("{") !== -1)        { return templateFormatter(spec); }
+  }
+  throw new Error("Unknown formatter \"" + spec + "\"; registered: " + Object.keys(formatters).join(", "));
+}
+
 // ─────────────────────────────────────────────
-//  METRICS COLLECTOR
+//  SERIALIZATION
 // ─────────────────────────────────────────────
+//
+//  Logger#_write turns meta into a JSON-safe copy before anything else sees
+//  it, so formatters, redaction and transports never meet Errors, cycles,
+//  BigInts, Maps or Sets.
 
-function MetricsCollector() {
-  this._startedAt    = Date.now();
-  this._counts       = {};
-  this._timers       = {};
-  this._gauges       = {};
-  this._histograms   = {};
+var MAX_META_DEPTH = 20;
+
+function isError(value) {
+  return value instanceof Error || Object.prototype.toString.call(value) === "[object Error]";
+}
+
+// name, message, stack, code, own properties, cause chain and AggregateError.errors
+function serializeError(err, ancestors, depth) {
+  var out = {
+    name:    err.name || "Error",
+    message: String(err.message),
+    stack:   err.stack
+  };
+  if (err.code !== undefined) { out.code = serializeValue(err.code, ancestors, depth); }
+
+  var keys = Object.keys(err);
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    if (key === "cause" || key === "errors" || out.hasOwnProperty(key)) { continue; }
+    var value = serializeValue(err[key], ancestors, depth);
+    if (value !== undefined) { out[key] = value; }
+  }
+  if (err.cause !== undefined) {
+    out.cause = serializeValue(err.cause, ancestors, depth);
+  }
+  if (Array.isArray(err.errors)) {
+    out.errors = serializeValue(err.errors, ancestors, depth);
+  }
+  return out;
+}
+
+function serializeValue(value, ancestors, depth) {
+  switch (typeof value) {
+    case "bigint":   return value.toString();
+    case "symbol":   return value.toString();
+    case "function": return undefined;
+    case "number":   return isFinite(value) ? value : String(value);
+    case "object":   break;
+    default:         return value;
+  }
+  if (value === null) { return null; }
+  if (ancestors.indexOf(value) !== -1) { return "[Circular]"; }
+  if (depth >= MAX_META_DEPTH) { return "[Truncated]"; }
+  if (value instanceof Date) { return isNaN(value.getTime()) ? "Invalid Date" : value.toISOString(); }
+  if (value instanceof RegExp) { return String(value); }
+  if (Buffer.isBuffer(value)) { return "[Buffer " + value.length + " bytes]"; }
 
-  for (var lvl in LOG_LEVELS) {
-    if (LOG_LEVELS.hasOwnProperty(lvl)) {
-      this._counts[lvl] = 0;
+  ancestors.push(value);
+  depth++;
+  var out;
+  if (isError(value)) {
+    out = serializeError(value, ancestors, depth);
+  } else if (Array.isArray(value) || value instanceof Set) {
+    out = [];
+    Array.from(value).forEach(function(item) {
+      var v = serializeValue(item, ancestors, depth);
+      out.push(v === undefined ? null : v);
+    });
+  } else if (value instanceof Map) {
+    out = {};
+    value.forEach(function(v, k) {
+      v = serializeValue(v, ancestors, depth);
+      if (v !== undefined) { out[String(k)] = v; }
+    });
+  } else if (typeof value.toJSON === "function") {
+    out = serializeValue(value.toJSON(), ancestors, depth);
+  } else {
+    out = {};
+    for (var key in value) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) { continue; }
+      var v = serializeValue(value[key], ancestors, depth);
+      if (v !== undefined) { out[key] = v; }
     }
   }
+  ancestors.pop();
+  return out;
 }
 
-MetricsCollector.prototype.incrementLevel = function(levelName) {
-  if (this._counts.hasOwnProperty(levelName)) {
-    this._counts[levelName]++;
+// Returns a JSON-safe deep copy of meta
+function serializeMeta(meta) {
+  if (meta === undefined || meta === null) { return null; }
+  var out = serializeValue(meta, [], 0);
+  return (out === undefined) ? null : out;
+}
+
+// JSON.stringify that cannot throw; used where values may not have been serialized
+function safeStringify(value, space) {
+  try {
+    return JSON.stringify(value, null, space);
+  } catch (e) {
+    return JSON.stringify(serializeValue(value, [], 0), null, space);
   }
-};
+}
 
-MetricsCollector.prototype.startTimer = function(name) {
-  this._timers[name] = Date.now();
-};
+// ─────────────────────────────────────────────
+//  REDACTION
+// ─────────────────────────────────────────────
+//
+//  Applied to every entry before it reaches the ring buffer, the "log"
+//  event or any transport. Two kinds of rule:
+//    { path: "headers.authorization" } — meta key path; "*" matches any one
+//                                        key, "**" any number of keys (or none)
+//    { pattern: /secret-\w+/ }         — regex (or built-in name) applied to the
+//                                        message and to every string in meta
+//  Each rule has an action: "mask" (default), "hash" (sha256) or "remove".
 
-MetricsCollector.prototype.endTimer = function(name) {
-  if (!this._timers[name]) { return null; }
-  var elapsed = Date.now() - this._timers[name];
-  delete this._timers[name];
-  if (!this._histograms[name]) { this._histograms[name] = []; }
-  this._histograms[name].push(elapsed);
-  return elapsed;
-};
+function luhnValid(digits) {
+  var sum = 0;
+  var alt = false;
+  for (var i = digits.length - 1; i >= 0; i--) {
+    var d = parseInt(digits.charAt(i), 10);
+    if (alt) { d *= 2; if (d > 9) { d -= 9; } }
+    sum += d;
+    alt = !alt;
+  }
+  return sum % 10 === 0;
+}
 
-MetricsCollector.prototype.setGauge = function(name, value) {
-  this._gauges[name] = value;
+var REDACT_PATTERNS = {
+  creditCard: {
+    regex:    /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: function(match) { return luhnValid(match.replace(/[ -]/g, "")); }
+  },
+  email: { regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  jwt:   { regex: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g }
 };
 
-MetricsCollector.prototype.getTimerStats = function(name) {
-  var samples = this._histograms[name];
-  if (!samples || samples.length === 0) { return null; }
-  var sum = 0;
-  var min = Infinity;
-  var max = -Infinity;
-  for (var i = 0; i < samples.length; i++) {
-    sum += samples[i];
-    if (samples[i] < min) { min = samples[i]; }
-    if (samples[i] > max) { max = samples[i]; }
+function toGlobalRegex(re) {
+  if (typeof re === "string") { return new RegExp(re, "g"); }
+  return re.global ? re : new RegExp(re.source, re.flags + "g");
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") { return false; }
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function Redactor(opts) {
+  opts = opts || {};
+  var action = opts.action || "mask";
+  var rules  = (opts.rules || []).slice();
+  var i;
+
+  for (i = 0; i < (opts.paths || []).length; i++) {
+    rules.push({ path: opts.paths[i], action: action });
+  }
+  for (i = 0; i < (opts.patterns || []).length; i++) {
+    rules.push({ pattern: opts.patterns[i], action: action });
+  }
+
+  this.replacement = opts.replacement || "[REDACTED]";
+  this.hashSalt    = opts.hashSalt    || "";
+  this._pathRules    = [];
+  this._patternRules = [];
+
+  for (i = 0; i < rules.length; i++) {
+    var rule = rules[i];
+    if (rule.path) {
+      if (/(^|\.)\*\*$/.test(rule.path)) {
+        throw new Error("Redaction path \"" + rule.path + "\" cannot end with \"**\"");
+      }
+      this._pathRules.push({
+        segments: rule.path.split("."),
+        action:   rule.action || action
+      });
+    } else if (rule.pattern) {
+      var builtin = (typeof rule.pattern === "string") ? REDACT_PATTERNS[rule.pattern] : null;
+      this._patternRules.push({
+        regex:    toGlobalRegex(builtin ? builtin.regex : rule.pattern),
+        validate: rule.validate || (builtin ? builtin.validate : null),
+        action:   rule.action || action
+      });
+    }
   }
-  var avg = sum / samples.length;
-  var sorted = samples.slice().sort(function(a, b) { return a - b; });
-  var p95 = sorted[Math.floor(sorted.length * 0.95)] || max;
-  var p99 = sorted[Math.floor(sorted.length * 0.99)] || max;
-  return { count: samples.length, min: min, max: max, avg: Math.round(avg), p95: p95, p99: p99 };
+}
+
+Redactor.prototype.hash = function(value) {
+  var str = (typeof value === "string") ? value : JSON.stringify(value);
+  return "sha256:" + crypto.createHash("sha256").update(this.hashSalt + str).digest("hex").slice(0, 16);
 };
 
-MetricsCollector.prototype.snapshot = function() {
-  var mem  = process.memoryUsage();
-  var cpu  = process.cpuUsage();
-  var snap = {
-    uptimeFormatted: uptime(this._startedAt),
-    uptimeMs:        Date.now() - this._startedAt,
-    pid:             process.pid,
-    node:            process.version,
-    platform:        process.platform,
-    arch:            process.arch,
-    hostname:        os.hostname(),
-    logCounts:       {},
-    memory: {
-      rss:        bytesToMB(mem.rss)      + " MB",
-      heapUsed:   bytesToMB(mem.heapUsed) + " MB",
-      heapTotal:  bytesToMB(mem.heapTotal)+ " MB",
-      external:   bytesToMB(mem.external) + " MB"
-    },
-    cpu: {
-      userMs:   Math.round(cpu.user / 1000),
-      systemMs: Math.round(cpu.system / 1000)
-    },
-    os: {
-      totalMemMB: bytesToMB(os.totalmem()),
-      freeMemMB:  bytesToMB(os.freemem()),
-      loadAvg:    os.loadavg().map(function(n) { return n.toFixed(2); }),
-      cpuCount:   os.cpus().length
-    },
-    gauges:    this._gauges,
-    timers:    {}
-  };
+Redactor.prototype.apply = function(entry) {
+  if (this._patternRules.length > 0) {
+    entry.message = this._redactString(entry.message);
+  }
+  if (!entry.meta || typeof entry.meta !== "object") { return entry; }
+
+  // entry.meta is the private copy made by serializeMeta, so edit in place
+  for (var i = 0; i < this._pathRules.length; i++) {
+    this._applyPath(entry.meta, this._pathRules[i], 0);
+  }
+  if (this._patternRules.length > 0) {
+    entry.meta = this._redactStrings(entry.meta);
+  }
+  return entry;
+};
 
-  for (var lvl in this._counts) {
-    if (this._counts.hasOwnProperty(lvl)) {
-      snap.logCounts[lvl] = this._counts[lvl];
+Redactor.prototype._applyPath = function(obj, rule, depth) {
+  if (!obj || typeof obj !== "object") { return; }
+  var seg  = rule.segments[depth];
+  if (seg === "**") {
+    // Match the rest of the path here, then again one level further down
+    this._applyPath(obj, rule, depth + 1);
+    var children = Object.keys(obj);
+    for (var c = 0; c < children.length; c++) {
+      this._applyPath(obj[children[c]], rule, depth);
     }
+    return;
   }
-  for (var name in this._histograms) {
-    if (this._histograms.hasOwnProperty(name)) {
-      snap.timers[name] = this.getTimerStats(name);
+  var keys = (seg === "*") ? Object.keys(obj) : (obj.hasOwnProperty(seg) ? [seg] : []);
+  var last = (depth === rule.segments.length - 1);
+
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    if (!last) {
+      this._applyPath(obj[key], rule, depth + 1);
+    } else if (rule.action === "remove") {
+      delete obj[key];
+    } else if (rule.action === "hash") {
+      obj[key] = this.hash(obj[key]);
+    } else {
+      obj[key] = this.replacement;
     }
   }
-  return snap;
+};
+
+Redactor.prototype._redactString = function(str) {
+  var self = this;
+  for (var i = 0; i < self._patternRules.length; i++) {
+    var rule = self._patternRules[i];
+    str = str.replace(rule.regex, function(match) {
+      if (rule.validate && !rule.validate(match)) { return match; }
+      if (rule.action === "remove") { return ""; }
+      if (rule.action === "hash")   { return self.hash(match); }
+      return self.replacement;
+    });
+  }
+  return str;
+};
+
+Redactor.prototype._redactStrings = function(value) {
+  if (typeof value === "string") { return this._redactString(value); }
+  if (!Array.isArray(value) && !isPlainObject(value)) { return value; }
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) { value[key] = this._redactStrings(value[key]); }
+  }
+  return value;
 };
 
 // ─────────────────────────────────────────────
-//  ALERT MANAGER
+//  FILE ROTATOR
 // ─────────────────────────────────────────────
 
-function AlertManager(emitter) {
-  this._emitter  = emitter;
-  this._rules    = [];
-  this._cooldowns = {};
+//  Size-only rotation keeps numbered backups (app.log.1 … app.log.N).
+//  With `interval` ("daily" | "hourly") or `compress`, rotated files are
+//  date-stamped instead (app.log.2026-02-12, app.log.2026-02-12.1.gz …).
+//  Retention: `maxBackups` (count, 0 = unlimited for dated files),
+//  `maxAgeDays` and `maxTotalMB` (disk budget for all rotated files).
+//
+//  Lines wait in a buffer of at most `maxBuffer` lines; a write is started
+//  early once it is half full. When it is full, `overflow` decides:
+//    "block"       — write the buffer synchronously, then accept the line
+//    "drop-oldest" — discard the oldest buffered line
+//    "drop-level"  — discard lines below `dropLevel`, new ones first, then
+//                    the oldest buffered; block if there are none
+//  A failed append is retried on the next flush, up to `retries` times.
+//  flushSync() is used on exit and after FATAL entries.
+
+var OVERFLOW_POLICIES = ["block", "drop-oldest", "drop-level"];
+
+function periodKey(date, interval) {
+  var key = date.getUTCFullYear()
+    + "-" + padStart(date.getUTCMonth() + 1, 2)
+    + "-" + padStart(date.getUTCDate(), 2);
+  if (interval === "hourly") { key += "-" + padStart(date.getUTCHours(), 2); }
+  return key;
 }
 
-AlertManager.prototype.addRule = function(opts) {
-  // opts: { name, level, messagePattern, cooldownMs, handler }
-  this._rules.push({
-    name:           opts.name || "rule_" + this._rules.length,
-    level:          opts.level || "ERROR",
-    messagePattern: opts.messagePattern || null,
-    cooldownMs:     opts.cooldownMs || 60000,
-    handler:        opts.handler || null
-  });
+function RotatingFileWriter(filePath, opts) {
+  opts = opts || {};
+  this.filePath    = filePath;
+  this.maxMB       = opts.maxMB      || MAX_FILE_MB;
+  this.maxBackups  = (opts.maxBackups !== undefined) ? opts.maxBackups : MAX_BACKUPS;
+  this.interval    = opts.interval   || null;
+  this.compress    = !!opts.compress;
+  this.maxAgeDays  = opts.maxAgeDays || 0;
+  this.maxTotalMB  = opts.maxTotalMB || 0;
+  this.maxBuffer   = opts.maxBuffer  || 10000;
+  this.overflow    = opts.overflow   || "block";
+  this.dropLevel   = resolveLevel(opts.dropLevel, LOG_LEVELS.WARN);
+  this.retries     = (opts.retries !== undefined) ? opts.retries : 3;
+  this.stats       = { written: 0, dropped: 0, retried: 0, blocked: 0 };
+  this._buffer     = [];
+  this._levels     = [];
+  this._pending    = null;
+  this._inflight   = null;
+  this._callbacks  = [];
+  this._writing    = false;
+  this._compressing = 0;
+  this._fd         = null;
+  this._ino        = null;
+  this._offset     = 0;
+  if (OVERFLOW_POLICIES.indexOf(this.overflow) === -1) {
+    throw new Error("overflow must be one of " + OVERFLOW_POLICIES.join(", ") + ", got \"" + this.overflow + "\"");
+  }
+  ensureDir(path.dirname(filePath));
+
+  if (this.interval) {
+    var startedAt = new Date();
+    try { startedAt = fs.statSync(filePath).mtime; } catch (e) { /* new file */ }
+    this._period = periodKey(startedAt, this.interval);
+  }
+}
+
+RotatingFileWriter.prototype._dated = function() {
+  return !!(this.interval || this.compress);
 };
 
-AlertManager.prototype.evaluate = function(entry) {
-  var self = this;
-  for (var i = 0; i < self._rules.length; i++) {
-    var rule = self._rules[i];
-    if (LOG_LEVELS[entry.level] < LOG_LEVELS[rule.level]) { continue; }
-    if (rule.messagePattern && entry.message.indexOf(rule.messagePattern) === -1) { continue; }
+RotatingFileWriter.prototype.rotate = function(period) {
+  if (!fs.existsSync(this.filePath)) { return; }
 
-    var now    = Date.now();
-    var lastAt = self._cooldowns[rule.name] || 0;
-    if (now - lastAt < rule.cooldownMs) { continue; }
+  if (!this._dated()) {
+    for (var i = this.maxBackups - 1; i >= 1; i--) {
+      var from = this.filePath + "." + i;
+      var to   = this.filePath + "." + (i + 1);
+      if (fs.existsSync(from)) { fs.renameSync(from, to); }
+    }
+    fs.renameSync(this.filePath, this.filePath + ".1");
+    this._prune();
+    return;
+  }
 
-    self._cooldowns[rule.name] = now;
-    self._emitter.emit("alert", { rule: rule.name, entry: entry });
-    if (typeof rule.handler === "function") { rule.handler(entry); }
+  var archive = this._archiveName(period || this._period || periodKey(new Date(), "daily"));
+  fs.renameSync(this.filePath, archive);
+  if (this.compress) {
+    this._compressFile(archive);
+  } else {
+    this._prune();
   }
 };
 
-// ─────────────────────────────────────────────
-//  QUERY ENGINE  (search in-memory ring buffer)
-// ─────────────────────────────────────────────
+RotatingFileWriter.prototype._archiveName = function(period) {
+  var base = this.filePath + "." + period;
+  var name = base;
+  var n    = 0;
+  while (fs.existsSync(name) || fs.existsSync(name + ".gz")) {
+    n++;
+    name = base + "." + n;
+  }
+  return name;
+};
 
-function RingBuffer(capacity) {
-  this._capacity = capacity;
-  this._data     = [];
-  this._head     = 0;
-}
+// Gzips a rotated file in the background, then applies retention
+RotatingFileWriter.prototype._compressFile = function(src) {
+  var self = this;
+  self._compressing++;
+  stream.pipeline(
+    fs.createReadStream(src),
+    zlib.createGzip(),
+    fs.createWriteStream(src + ".gz"),
+    function(err) {
+      self._compressing--;
+      if (err) {
+        process.stderr.write("[RotatingFileWriter] Compression error: " + err.message + "\n");
+        try { fs.unlinkSync(src + ".gz"); } catch (e) { /* keep the uncompressed copy */ }
+        return;
+      }
+      try { fs.unlinkSync(src); } catch (e) { /* already gone */ }
+      if (self._compressing === 0) { self._prune(); }
+    }
+  );
+};
 
-RingBuffer.prototype.push = function(item) {
-  if (this._data.length < this._capacity) {
-    this._data.push(item);
-  } else {
-    this._data[this._head] = item;
-    this._head = (this._head + 1) % this._capacity;
+// Rotated copies of a log file (numbered or date-stamped), newest first
+function listArchives(filePath) {
+  var dir    = path.dirname(filePath);
+  var prefix = path.basename(filePath) + ".";
+  var files  = [];
+  var names;
+  try { names = fs.readdirSync(dir); } catch (e) { return files; }
+
+  for (var i = 0; i < names.length; i++) {
+    if (names[i].indexOf(prefix) !== 0) { continue; }
+    var full = path.join(dir, names[i]);
+    try {
+      var st = fs.statSync(full);
+      files.push({ path: full, mtime: st.mtime.getTime(), size: st.size });
+    } catch (e) { /* removed meanwhile */ }
   }
+  files.sort(function(a, b) { return b.mtime - a.mtime; });
+  return files;
+}
+
+RotatingFileWriter.prototype.listArchives = function() {
+  return listArchives(this.filePath);
 };
 
-RingBuffer.prototype.toArray = function() {
-  if (this._data.length < this._capacity) { return this._data.slice(); }
-  return this._data.slice(this._head).concat(this._data.slice(0, this._head));
+RotatingFileWriter.prototype._prune = function() {
+  var archives = this.listArchives();
+  var now      = Date.now();
+  var total    = 0;
+
+  for (var i = 0; i < archives.length; i++) {
+    var a = archives[i];
+    total += a.size;
+    var expired = (this.maxBackups > 0 && i >= this.maxBackups)
+      || (this.maxAgeDays > 0 && now - a.mtime > this.maxAgeDays * 86400000)
+      || (this.maxTotalMB > 0 && total > this.maxTotalMB * 1024 * 1024);
+    if (!expired) { continue; }
+    try {
+      fs.unlinkSync(a.path);
+    } catch (e) {
+      process.stderr.write("[RotatingFileWriter] Retention error: " + e.message + "\n");
+    }
+  }
 };
 
-RingBuffer.prototype.query = function(opts) {
-  var all = this.toArray();
-  var results = [];
+// `level` is the entry's level code, used by the "drop-level" policy
+RotatingFileWriter.prototype.write = function(line, level) {
+  if (level === undefined) { level = LOG_LEVELS.INFO; }
+  if (this._buffer.length >= this.maxBuffer && !this._makeRoom(level)) {
+    this.stats.dropped++;
+    return;
+  }
+  this._buffer.push(line);
+  this._levels.push(level);
+  if (this._buffer.length >= this.maxBuffer / 2 && !this._writing) { this.flush(); }
+};
 
-  for (var i = 0; i < all.length; i++) {
-    var e = all[i];
-    if (opts.level && LOG_LEVELS[e.level] < LOG_LEVELS[opts.level]) { continue; }
-    if (opts.context && e.context !== opts.context) { continue; }
-    if (opts.search && e.message.indexOf(opts.search) === -1) { continue; }
-    if (opts.since && e.timestamp < opts.since) { continue; }
-    if (opts.until && e.timestamp > opts.until) { continue; }
-    results.push(e);
+// Returns false when the new line itself should be dropped
+RotatingFileWriter.prototype._makeRoom = function(level) {
+  if (this.overflow === "drop-oldest") {
+    this._buffer.shift();
+    this._levels.shift();
+    this.stats.dropped++;
+    return true;
   }
+  if (this.overflow === "drop-level") {
+    if (level < this.dropLevel) { return false; }
+    for (var i = 0; i < this._levels.length; i++) {
+      if (this._levels[i] < this.dropLevel) {
+        this._buffer.splice(i, 1);
+        this._levels.splice(i, 1);
+        this.stats.dropped++;
+        return true;
+      }
+    }
+  }
+  this.stats.blocked++;
+  this.flushSync();
+  return true;
+};
 
-  if (opts.limit && results.length > opts.limit) {
-    results = results.slice(results.length - opts.limit);
+// Rotates the file if it is due, then empties the buffer into one chunk
+// behind any chunk awaiting a retry. No rotation while a write is in
+// flight: it must land in the file it was started on.
+RotatingFileWriter.prototype._takeChunk = function() {
+  var pending = this._pending;
+  var lines   = this._buffer.length;
+  if (!pending && lines === 0) { return null; }
+
+  if (!this._inflight) {
+    try {
+      if (this.interval) {
+        var current = periodKey(new Date(), this.interval);
+        if (current !== this._period) {
+          this.rotate(this._period);
+          this._period = current;
+        }
+      }
+      if (getFileSizeMB(this.filePath) >= this.maxMB) {
+        this.rotate();
+      }
+    } catch (err) {
+      process.stderr.write("[RotatingFileWriter] Rotation error: " + err.message + "\n");
+    }
   }
-  return results;
+
+  var text = (lines > 0) ? this._buffer.join("\n") + "\n" : "";
+  this._buffer  = [];
+  this._levels  = [];
+  this._pending = null;
+  return pending
+    ? { text: pending.text + text, lines: pending.lines + lines, attempts: pending.attempts }
+    : { text: text, lines: lines, attempts: 0 };
 };
 
+// (Re)opens the file when it was rotated, removed or replaced, and moves
+// the write offset to its end (other writers may have appended to it)
+RotatingFileWriter.prototype._open = function() {
+  var st = null;
+  try { st = fs.statSync(this.filePath); } catch (e) { /* rotated away or removed */ }
+  if (this._fd !== null && (!st || st.ino !== this._ino)) {
+    try { fs.closeSync(this._fd); } catch (e) { /* already closed */ }
+    this._fd = null;
+  }
+  if (this._fd === null) {
+    this._fd  = fs.openSync(this.filePath, fs.constants.O_WRONLY | fs.constants.O_CREAT);
+    st        = fs.fstatSync(this._fd);
+    this._ino = st.ino;
+  }
+  this._offset = st.size;
+};
+
+// Gives the chunk its bytes and position; positional writes make writing
+// the same chunk twice harmless (see flushSync)
+RotatingFileWriter.prototype._place = function(chunk) {
+  chunk.data = Buffer.from(chunk.text);
+  chunk.pos  = this._offset;
+  this._offset += chunk.data.length;
+};
+
+RotatingFileWriter.prototype._written = function(chunk, err) {
+  if (!err) {
+    this.stats.written += chunk.lines;
+    return;
+  }
+  if (chunk.attempts < this.retries) {
+    chunk.attempts++;
+    this.stats.retried++;
+    this._pending = { text: chunk.text, lines: chunk.lines, attempts: chunk.attempts };
+    process.stderr.write("[RotatingFileWriter] Write error (will retry): " + err.message + "\n");
+  } else {
+    this.stats.dropped += chunk.lines;
+    process.stderr.write("[RotatingFileWriter] Write error, dropped " + chunk.lines + " lines: " + err.message + "\n");
+  }
+};
+
+function writeAllSync(fd, data, position) {
+  var done = 0;
+  while (done < data.length) {
+    done += fs.writeSync(fd, data, done, data.length - done, position + done);
+  }
+}
+
+// One write at a time; a flush requested meanwhile runs when it finishes
+RotatingFileWriter.prototype.flush = function(callback) {
+  if (callback) { this._callbacks.push(callback); }
+  if (this._writing) { return; }
+
+  var callbacks = this._callbacks;
+  var chunk     = this._takeChunk();
+  this._callbacks = [];
+  if (!chunk) {
+    callbacks.forEach(function(cb) { cb(); });
+    return;
+  }
+  try {
+    this._open();
+  } catch (err) {
+    this._written(chunk, err);
+    callbacks.forEach(function(cb) { cb(); });
+    return;
+  }
+
+  var self = this;
+  this._place(chunk);
+  this._inflight = chunk;
+  this._writing  = true;
+  fs.write(this._fd, chunk.data, 0, chunk.data.length, chunk.pos, function(err, bytes) {
+    self._writing  = false;
+    self._inflight = null;
+    // flushSync already wrote this chunk and counted it
+    if (!chunk.settled) {
+      self._written(chunk, err || (bytes < chunk.data.length ? new Error("Short write") : null));
+    }
+    callbacks.forEach(function(cb) { cb(); });
+    if (self._callbacks.length > 0) { self.flush(); }
+  });
+};
+
+// For exit handlers, fatal errors and the "block" policy. An async write
+// still in flight may never complete, so its chunk is written again at the
+// same position first; the buffer follows it.
+RotatingFileWriter.prototype.flushSync = function() {
+  var inflight = this._inflight;
+  if (inflight && !inflight.settled) {
+    try {
+      writeAllSync(this._fd, inflight.data, inflight.pos);
+      inflight.settled = true;
+      this._written(inflight, null);
+    } catch (err) {
+      process.stderr.write("[RotatingFileWriter] Write error: " + err.message + "\n");
+    }
+  }
+
+  var chunk = this._takeChunk();
+  if (!chunk) { return; }
+  try {
+    if (!inflight) { this._open(); }
+    this._place(chunk);
+    writeAllSync(this._fd, chunk.data, chunk.pos);
+    this._written(chunk, null);
+  } catch (err) {
+    this._written(chunk, err);
+  }
+};
+
+// Writes what is buffered, then releases the file
+RotatingFileWriter.prototype.close = function(callback) {
+  var self = this;
+  this.flush(function() {
+    if (self._fd !== null && !self._writing) {
+      try { fs.closeSync(self._fd); } catch (e) { /* already closed */ }
+      self._fd = null;
+    }
+    if (callback) { callback(); }
+  });
+};
+
+// ─────────────────────────────────────────────
+//  TRANSPORTS
+// ─────────────────────────────────────────────
+//
+//  A transport is any object with a `log(entry)` method. Optional members:
+//    name      — used by Logger#removeTransport / #getTransport
+//    level     — minimum level name or code this transport accepts
+//    levels    — exact level names this transport accepts (["AUDIT"])
+//    filter    — function(entry) returning false to skip the entry
+//    flush(cb) — called on the flush interval and by Logger#flush
+//    flushSync — called on exit and after FATAL entries
+//    close(cb) — called when the transport is removed
+//    stats     — counters shown in metrics snapshots (dropped, retried, …)
+
+function transportAccepts(transport, entry) {
+  if (entry.levelCode < resolveLevel(transport.level, 0)) { return false; }
+  if (transport.levels && transport.levels.indexOf(entry.level) === -1) { return false; }
+  if (typeof transport.filter === "function" && !transport.filter(entry)) { return false; }
+  return true;
+}
+
+function ConsoleTransport(opts) {
+  opts = opts || {};
+  this.name      = opts.name  || "console";
+  this.level     = (opts.level !== undefined) ? opts.level : LOG_LEVELS.TRACE;
+  this.levels    = opts.levels ? opts.levels.map(function(l) { return String(l).toUpperCase(); }) : null;
+  this.filter    = opts.filter || null;
+  this.formatter = opts.formatter ? resolveFormatter(opts.formatter)
+    : ((opts.color !== undefined ? opts.color : true) ? formatters.color : formatters.text);
+  this._customFormat = !!opts.formatter;
+}
+
+// color: a child logger's `color` option; overrides the default formatter
+ConsoleTransport.prototype.log = function(entry, color) {
+  var format = (color === undefined || this._customFormat) ? this.formatter
+    : (color ? formatters.color : formatters.text);
+  var line = format(entry);
+  if (entry.levelCode >= LOG_LEVELS.ERROR) {
+    process.stderr.write(line + "\n");
+  } else {
+    process.stdout.write(line + "\n");
+  }
+};
+
+function FileTransport(opts) {
+  opts = opts || {};
+  this.name      = opts.name || opts.filename || "file";
+  this.level     = (opts.level !== undefined) ? opts.level : LOG_LEVELS.TRACE;
+  this.levels    = opts.levels ? opts.levels.map(function(l) { return String(l).toUpperCase(); }) : null;
+  this.filter    = opts.filter || null;
+  this.formatter = opts.formatter ? resolveFormatter(opts.formatter) : formatters.text;
+  this.filePath  = path.join(opts.dir || LOG_DIR, opts.filename || "app.log");
+  this._writer   = new RotatingFileWriter(this.filePath, {
+    maxMB:      opts.maxMB,
+    maxBackups: opts.maxBackups,
+    interval:   opts.interval,
+    compress:   opts.compress,
+    maxAgeDays: opts.maxAgeDays,
+    maxTotalMB: opts.maxTotalMB,
+    maxBuffer:  opts.maxBuffer,
+    overflow:   opts.overflow,
+    dropLevel:  opts.dropLevel,
+    retries:    opts.retries
+  });
+  this.stats     = this._writer.stats;
+}
+
+FileTransport.prototype.log = function(entry) {
+  this._writer.write(this.formatter(entry), entry.levelCode);
+};
+
+FileTransport.prototype.flush = function(callback) {
+  this._writer.flush(callback);
+};
+
+FileTransport.prototype.flushSync = function() {
+  this._writer.flushSync();
+};
+
+FileTransport.prototype.close = function(callback) {
+  this._writer.close(callback);
+};
+
+// ── Syslog ────────────────────────────────────
+//  RFC 5424 (default) or RFC 3164 messages over UDP, TCP, TLS or a unix
+//  stream socket. Stream protocols reconnect with backoff and buffer up to
+//  `maxBuffer` messages while disconnected, dropping the oldest first.
+//  Node cannot send to unix datagram sockets (such as /dev/log on most
+//  systems); connecting to one stops the transport with an error.
+
+var SYSLOG_FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+var SYSLOG_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Level code → syslog severity (2 critical … 7 debug)
+function syslogSeverity(levelCode) {
+  if (levelCode >= LOG_LEVELS.FATAL)   { return 2; }
+  if (levelCode >= LOG_LEVELS.ERROR)   { return 3; }
+  if (levelCode >= LOG_LEVELS.WARN)    { return 4; }
+  if (levelCode >= LOG_LEVELS.SUCCESS) { return 5; }
+  if (levelCode >= LOG_LEVELS.INFO)    { return 6; }
+  return 7;
+}
+
+// Header fields: printable US-ASCII without spaces, "-" when empty
+function syslogToken(value, maxLen) {
+  var token = String(value === undefined || value === null ? "" : value)
+    .replace(/[^\x21-\x7e]/g, "_").slice(0, maxLen);
+  return token || "-";
+}
+
+function sdName(name) {
+  return String(name).replace(/[^\x21-\x7e]|[=\]"]/g, "_").slice(0, 32) || "_";
+}
+
+function sdEscape(value) {
+  return String(value).replace(/["\\\]]/g, "\\$&");
+}
+
+// Nested meta becomes dotted parameter names: { user: { id: 1 } } → user.id="1"
+function sdParams(obj, prefix, out) {
+  for (var key in obj) {
+    if (!obj.hasOwnProperty(key)) { continue; }
+    var value = obj[key];
+    var name  = prefix ? prefix + "." + key : key;
+    if (value === undefined) { continue; }
+    if (isPlainObject(value)) {
+      sdParams(value, name, out);
+    } else {
+      var text = (value !== null && typeof value === "object") ? JSON.stringify(value) : String(value);
+      out.push(sdName(name) + "=\"" + sdEscape(text) + "\"");
+    }
+  }
+  return out;
+}
+
+function SyslogTransport(opts) {
+  opts = opts || {};
+  this.name      = opts.name  || "syslog";
+  this.level     = (opts.level !== undefined) ? opts.level : LOG_LEVELS.TRACE;
+  this.filter    = opts.filter || null;
+  this.protocol  = opts.protocol || (opts.path ? "unix" : "udp");
+  this.host      = opts.host || "127.0.0.1";
+  this.port      = opts.port || (this.protocol === "tls" ? 6514 : 514);
+  this.path      = opts.path || null;
+  this.tls       = opts.tls  || {};
+  this.format    = String(opts.format || "5424");
+  this.facility  = (typeof opts.facility === "number") ? opts.facility
+    : SYSLOG_FACILITIES[opts.facility || "user"];
+  this.appName   = opts.appName  || path.basename(process.argv[1] || "node", ".js");
+  this.hostname  = opts.hostname || os.hostname();
+  this.enterpriseId = opts.enterpriseId || 32473;
+  this.framing   = opts.framing
+    || ((this.protocol === "tcp" || this.protocol === "tls") ? "octet-counting" : "newline");
+  this.maxBuffer      = opts.maxBuffer      || 1000;
+  this.reconnectMs    = opts.reconnectMs    || 1000;
+  this.maxReconnectMs = opts.maxReconnectMs || 30000;
+  this.stats     = { sent: 0, dropped: 0, reconnects: 0 };
+
+  if (this.facility === undefined) { throw new Error("Unknown syslog facility: " + opts.facility); }
+  if (["udp", "tcp", "tls", "unix"].indexOf(this.protocol) === -1) {
+    throw new Error("Unknown syslog protocol: " + this.protocol);
+  }
+  if (this.protocol === "unix" && !this.path) {
+    throw new Error("Syslog protocol \"unix\" needs `path`, a unix stream socket");
+  }
+
+  this._socket    = null;
+  this._connected = false;
+  this._closed    = false;
+  this._failed    = false;
+  this._buffer    = [];
+  this._delay     = this.reconnectMs;
+  this._retryTimer = null;
+}
+
+SyslogTransport.prototype.formatMessage = function(entry) {
+  var pri = "<" + (this.facility * 8 + syslogSeverity(entry.levelCode)) + ">";
+  var ts  = new Date(Date.parse(entry.timestamp) || Date.now());
+
+  if (this.format === "3164") {
+    var stamp = SYSLOG_MONTHS[ts.getMonth()] + " " + padStart(ts.getDate(), 2, " ") + " "
+      + padStart(ts.getHours(), 2, "0") + ":" + padStart(ts.getMinutes(), 2, "0") + ":" + padStart(ts.getSeconds(), 2, "0");
+    return pri + stamp + " " + syslogToken(this.hostname, 255) + " "
+      + syslogToken(this.appName, 32) + "[" + entry.pid + "]: [" + entry.context + "] " + entry.message
+      + (entry.meta ? " " + JSON.stringify(entry.meta) : "");
+  }
+
+  var logParams = ["context=\"" + sdEscape(entry.context) + "\"", "level=\"" + entry.level + "\""];
+  if (entry.traceId) { logParams.push("traceId=\"" + entry.traceId + "\"", "spanId=\"" + entry.spanId + "\""); }
+  var sd = "[log@" + this.enterpriseId + " " + logParams.join(" ") + "]";
+  if (entry.meta !== null && entry.meta !== undefined) {
+    var params = isPlainObject(entry.meta) ? sdParams(entry.meta, "", []) : sdParams({ value: entry.meta }, "", []);
+    if (params.length > 0) { sd += "[meta@" + this.enterpriseId + " " + params.join(" ") + "]"; }
+  }
+
+  return pri + "1 " + ts.toISOString() + " " + syslogToken(this.hostname, 255) + " "
+    + syslogToken(this.appName, 48) + " " + entry.pid + " " + syslogToken(entry.level, 32) + " "
+    + sd + " " + entry.message;
+};
+
+SyslogTransport.prototype._frame = function(message) {
+  if (this.protocol === "udp") { return Buffer.from(message, "utf8"); }
+  if (this.framing === "octet-counting") {
+    return Buffer.byteLength(message, "utf8") + " " + message;
+  }
+  return message.replace(/\n/g, " ") + "\n";
+};
+
+SyslogTransport.prototype.log = function(entry) {
+  if (this._closed) { return; }
+  if (this._failed) {
+    this.stats.dropped++;
+    return;
+  }
+  var frame = this._frame(this.formatMessage(entry));
+
+  if (this.protocol === "udp") {
+    this._sendDatagram(frame);
+    return;
+  }
+  if (this._connected) {
+    this._socket.write(frame);
+    this.stats.sent++;
+    return;
+  }
+  if (this._buffer.length >= this.maxBuffer) {
+    this._buffer.shift();
+    this.stats.dropped++;
+  }
+  this._buffer.push(frame);
+  if (!this._socket && !this._retryTimer) { this._connect(); }
+};
+
+SyslogTransport.prototype._sendDatagram = function(frame) {
+  var self = this;
+  if (!this._socket) {
+    this._socket = dgram.createSocket(net.isIPv6(this.host) ? "udp6" : "udp4");
+    this._socket.on("error", function(err) {
+      process.stderr.write("[SyslogTransport] UDP error: " + err.message + "\n");
+    });
+    this._socket.unref();
+  }
+  this._socket.send(frame, this.port, this.host, function(err) {
+    if (err) {
+      self.stats.dropped++;
+      process.stderr.write("[SyslogTransport] Send error: " + err.message + "\n");
+    } else {
+      self.stats.sent++;
+    }
+  });
+};
+
+// Adds `servername` for SNI unless host is an IP literal, which TLS does not
+// allow as a server name (DEP0123)
+function withServername(opts, host) {
+  if (net.isIP(host) === 0) { opts.servername = host; }
+  return opts;
+}
+
+SyslogTransport.prototype._connect = function() {
+  var self = this;
+  var event = (this.protocol === "tls") ? "secureConnect" : "connect";
+  var socket;
+
+  this._retryTimer = null;
+  if (this.protocol === "unix") {
+    socket = net.connect({ path: this.path });
+  } else if (this.protocol === "tls") {
+    socket = tls.connect(extend(withServername({ host: this.host, port: this.port }, this.host), this.tls));
+  } else {
+    socket = net.connect({ host: this.host, port: this.port });
+  }
+  this._socket = socket;
+  socket.unref();
+
+  socket.once(event, function() {
+    self._connected = true;
+    self._delay = self.reconnectMs;
+    while (self._buffer.length > 0) {
+      socket.write(self._buffer.shift());
+      self.stats.sent++;
+    }
+  });
+  socket.on("error", function(err) {
+    // A datagram socket: retrying cannot help
+    if (err.code === "EPROTOTYPE") {
+      self._failed = true;
+      self.stats.dropped += self._buffer.length;
+      self._buffer = [];
+      process.stderr.write("[SyslogTransport] " + self.path + " is not a stream socket; "
+        + "use a unix stream listener or protocol \"udp\" (" + err.message + ")\n");
+      return;
+    }
+    if (self._connected || self.stats.reconnects === 0) {
+      process.stderr.write("[SyslogTransport] Connection error: " + err.message + "\n");
+    }
+  });
+  socket.on("close", function() {
+    self._connected = false;
+    self._socket = null;
+    if (self._closed || self._failed) { return; }
+    self._retryTimer = setTimeout(function() {
+      self.stats.reconnects++;
+      self._connect();
+    }, self._delay);
+    self._retryTimer.unref();
+    self._delay = Math.min(self._delay * 2, self.maxReconnectMs);
+  });
+};
+
+SyslogTransport.prototype.close = function(callback) {
+  this._closed = true;
+  if (this._retryTimer) { clearTimeout(this._retryTimer); }
+  var socket = this._socket;
+  this._socket = null;
+  this._connected = false;
+  if (!socket) {
+    if (callback) { callback(); }
+    return;
+  }
+  if (this.protocol === "udp") {
+    socket.close(callback);
+    return;
+  }
+  socket.end(function() { if (callback) { callback(); } });
+};
+
+// ─────────────────────────────────────────────
+//  HISTOGRAMS  (fixed-memory timer statistics)
+// ─────────────────────────────────────────────
+//
+//  Log-scale buckets with a guaranteed relative error (DDSketch-style):
+//  with relativeAccuracy 0.01 every percentile is within 1% of the true
+//  sample value. Memory depends on the value range, never on the number
+//  of samples, and is capped at `maxBins`.
+
+var HISTOGRAM_MIN_VALUE = 1e-3;   // smaller samples share the zero bucket
+
+function Histogram(opts) {
+  opts = opts || {};
+  this.relativeAccuracy = opts.relativeAccuracy || 0.01;
+  this.maxBins   = opts.maxBins || 2048;
+  this._gamma    = (1 + this.relativeAccuracy) / (1 - this.relativeAccuracy);
+  this._logGamma = Math.log(this._gamma);
+  this._bins     = {};
+  this._binCount = 0;
+  this._zero     = 0;
+  this.count     = 0;
+  this.sum       = 0;
+  this.min       = Infinity;
+  this.max       = -Infinity;
+}
+
+Histogram.prototype.record = function(value, times) {
+  times = times || 1;
+  this.count += times;
+  this.sum   += value * times;
+  if (value < this.min) { this.min = value; }
+  if (value > this.max) { this.max = value; }
+  if (value <= HISTOGRAM_MIN_VALUE) {
+    this._zero += times;
+    return;
+  }
+  this._addToBin(Math.ceil(Math.log(value) / this._logGamma), times);
+};
+
+Histogram.prototype._addToBin = function(index, times) {
+  if (!this._bins.hasOwnProperty(index)) {
+    if (this._binCount >= this.maxBins) { this._collapseLowest(); }
+    this._bins[index] = 0;
+    this._binCount++;
+  }
+  this._bins[index] += times;
+};
+
+// Folds the lowest bin into the next one, trading accuracy on the
+// smallest values for a hard memory bound
+Histogram.prototype._collapseLowest = function() {
+  var keys = this._sortedKeys();
+  if (keys.length < 2) { return; }
+  this._bins[keys[1]] += this._bins[keys[0]];
+  delete this._bins[keys[0]];
+  this._binCount--;
+};
+
+Histogram.prototype._sortedKeys = function() {
+  return Object.keys(this._bins).map(Number).sort(function(a, b) { return a - b; });
+};
+
+Histogram.prototype._binValue = function(index) {
+  return 2 * Math.pow(this._gamma, index) / (this._gamma + 1);
+};
+
+Histogram.prototype.merge = function(other) {
+  if (other.count === 0) { return this; }
+  this.count += other.count;
+  this.sum   += other.sum;
+  this._zero += other._zero;
+  if (other.min < this.min) { this.min = other.min; }
+  if (other.max > this.max) { this.max = other.max; }
+  for (var key in other._bins) {
+    if (other._bins.hasOwnProperty(key)) { this._addToBin(Number(key), other._bins[key]); }
+  }
+  return this;
+};
+
+// Value at quantile q (0–1), e.g. 0.95 for p95
+Histogram.prototype.percentile = function(q) {
+  if (this.count === 0) { return null; }
+  var rank = Math.min(Math.floor(q * this.count), this.count - 1);
+  var seen = this._zero;
+  if (seen > rank) { return this.min; }
+
+  var keys = this._sortedKeys();
+  for (var i = 0; i < keys.length; i++) {
+    seen += this._bins[keys[i]];
+    if (seen > rank) {
+      return Math.max(this.min, Math.min(this.max, this._binValue(keys[i])));
+    }
+  }
+  return this.max;
+};
+
+// Cumulative sample counts at or below each bound (for histogram export)
+Histogram.prototype.cumulativeCounts = function(bounds) {
+  var keys   = this._sortedKeys();
+  var counts = [];
+  var seen   = this._zero;
+  var k      = 0;
+  for (var b = 0; b < bounds.length; b++) {
+    while (k < keys.length && Math.min(this._binValue(keys[k]), this.max) <= bounds[b]) {
+      seen += this._bins[keys[k]];
+      k++;
+    }
+    counts.push(seen);
+  }
+  return counts;
+};
+
+// All-time histogram plus short time slices for "p99 over the last 5m"
+function TimerHistogram(opts) {
+  opts = opts || {};
+  this._opts     = opts;
+  this._sliceMs  = opts.sliceMs || 10000;
+  this._keepMs   = Math.max.apply(null, opts.windows || [60000, 300000]);
+  this._slices   = [];
+  this.total     = new Histogram(opts);
+}
+
+TimerHistogram.prototype.record = function(value, now) {
+  now = now || Date.now();
+  this.total.record(value);
+
+  var last = this._slices[this._slices.length - 1];
+  if (!last || now - last.start >= this._sliceMs) {
+    last = { start: now - (now % this._sliceMs), hist: new Histogram(this._opts) };
+    this._slices.push(last);
+  }
+  last.hist.record(value);
+
+  while (this._slices.length > 0 && this._slices[0].start + this._sliceMs <= now - this._keepMs) {
+    this._slices.shift();
+  }
+};
+
+// Histogram of the samples recorded within the last `windowMs`
+TimerHistogram.prototype.window = function(windowMs, now) {
+  now = now || Date.now();
+  var merged = new Histogram(this._opts);
+  for (var i = 0; i < this._slices.length; i++) {
+    if (this._slices[i].start + this._sliceMs > now - windowMs) {
+      merged.merge(this._slices[i].hist);
+    }
+  }
+  return merged;
+};
+
+function roundStat(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ─────────────────────────────────────────────
+//  METRICS COLLECTOR
+// ─────────────────────────────────────────────
+
+// opts.histogram: { relativeAccuracy, maxBins, sliceMs, windows }
+// opts.forward(kind, item): also receives timings and suppression counts
+// (a cluster worker passes them on to the primary)
+function MetricsCollector(opts) {
+  opts = opts || {};
+  this._startedAt    = Date.now();
+  this._counts       = {};
+  this._timers       = {};
+  this._gauges       = {};
+  this._histograms   = {};
+  this._histogramOpts = opts.histogram || {};
+  this._suppressed   = { sampled: {}, rateLimited: {}, deduplicated: {} };
+  this.health        = opts.health || null;
+  this.workers       = null;
+  this.transports    = null;
+  this._forward      = opts.forward || null;
+  this._logMetrics   = {};
+}
+
+// Counts start on first use, so levels added later are counted too
+MetricsCollector.prototype.incrementLevel = function(levelName) {
+  if (LOG_LEVELS.hasOwnProperty(levelName)) {
+    this._counts[levelName] = (this._counts[levelName] || 0) + 1;
+  }
+};
+
+// reason: "sampled" | "rateLimited" | "deduplicated"
+MetricsCollector.prototype.recordSuppressed = function(reason, levelName) {
+  var byLevel = this._suppressed[reason];
+  byLevel[levelName] = (byLevel[levelName] || 0) + 1;
+  if (this._forward) { this._forward("suppressed", [reason, levelName]); }
+};
+
+MetricsCollector.prototype.suppressedTotal = function(reason) {
+  var byLevel = this._suppressed[reason];
+  var total = 0;
+  for (var lvl in byLevel) {
+    if (byLevel.hasOwnProperty(lvl)) { total += byLevel[lvl]; }
+  }
+  return total;
+};
+
+MetricsCollector.prototype.startTimer = function(name) {
+  this._timers[name] = Date.now();
+};
+
+MetricsCollector.prototype.endTimer = function(name) {
+  if (!this._timers[name]) { return null; }
+  var elapsed = Date.now() - this._timers[name];
+  delete this._timers[name];
+  this.recordTiming(name, elapsed);
+  return elapsed;
+};
+
+// Adds a duration measured elsewhere to the timer histogram `name`
+MetricsCollector.prototype.recordTiming = function(name, ms) {
+  if (!this._histograms[name]) { this._histograms[name] = new TimerHistogram(this._histogramOpts); }
+  this._histograms[name].record(ms);
+  if (this._forward) { this._forward("timings", [name, ms]); }
+};
+
+MetricsCollector.prototype.setGauge = function(name, value) {
+  this._gauges[name] = value;
+};
+
+// Stats over all samples, or only the last `windowMs` (e.g. 60000 for 1m)
+MetricsCollector.prototype.getTimerStats = function(name, windowMs) {
+  var timer = this._histograms[name];
+  if (!timer) { return null; }
+  var h = windowMs ? timer.window(windowMs) : timer.total;
+  if (h.count === 0) { return null; }
+  return {
+    count: h.count,
+    min:   h.min,
+    max:   h.max,
+    avg:   Math.round(h.sum / h.count),
+    p95:   roundStat(h.percentile(0.95)),
+    p99:   roundStat(h.percentile(0.99))
+  };
+};
+
+MetricsCollector.prototype.percentile = function(name, q, windowMs) {
+  var timer = this._histograms[name];
+  if (!timer) { return null; }
+  var value = (windowMs ? timer.window(windowMs) : timer.total).percentile(q);
+  return value === null ? null : roundStat(value);
+};
+
+MetricsCollector.prototype.snapshot = function() {
+  var mem  = process.memoryUsage();
+  var cpu  = process.cpuUsage();
+  var snap = {
+    uptimeFormatted: uptime(this._startedAt),
+    uptimeMs:        Date.now() - this._startedAt,
+    pid:             process.pid,
+    node:            process.version,
+    platform:        process.platform,
+    arch:            process.arch,
+    hostname:        os.hostname(),
+    logCounts:       {},
+    memory: {
+      rss:        bytesToMB(mem.rss)      + " MB",
+      heapUsed:   bytesToMB(mem.heapUsed) + " MB",
+      heapTotal:  bytesToMB(mem.heapTotal)+ " MB",
+      external:   bytesToMB(mem.external) + " MB"
+    },
+    cpu: {
+      userMs:   Math.round(cpu.user / 1000),
+      systemMs: Math.round(cpu.system / 1000)
+    },
+    os: {
+      totalMemMB: bytesToMB(os.totalmem()),
+      freeMemMB:  bytesToMB(os.freemem()),
+      loadAvg:    os.loadavg().map(function(n) { return n.toFixed(2); }),
+      cpuCount:   os.cpus().length
+    },
+    gauges:    this._gauges,
+    timers:    {},
+    suppressed: {
+      sampled:      this.suppressedTotal("sampled"),
+      rateLimited:  this.suppressedTotal("rateLimited"),
+      deduplicated: this.suppressedTotal("deduplicated")
+    }
+  };
+
+  var names = levelNames();
+  for (var l = 0; l < names.length; l++) {
+    snap.logCounts[names[l]] = this._counts[names[l]] || 0;
+  }
+  for (var name in this._histograms) {
+    if (this._histograms.hasOwnProperty(name)) {
+      snap.timers[name] = this.getTimerStats(name);
+    }
+  }
+  if (Object.keys(this._logMetrics).length > 0) {
+    snap.logMetrics = {};
+    for (var lm in this._logMetrics) {
+      if (this._logMetrics.hasOwnProperty(lm)) { snap.logMetrics[lm] = this._logMetrics[lm].toJSON(); }
+    }
+  }
+  if (this.health) { snap.health = this.health.snapshot(); }
+  if (this.transports) { snap.transports = this._transportStats(); }
+  if (this.workers) {
+    snap.workers = {};
+    for (var id in this.workers) {
+      if (this.workers.hasOwnProperty(id)) { snap.workers[id] = this.workers[id].toJSON(); }
+    }
+  }
+  return snap;
+};
+
+// Counters of the transports that keep `stats`, by transport name
+MetricsCollector.prototype._transportStats = function() {
+  var out = {};
+  for (var i = 0; i < this.transports.length; i++) {
+    var transport = this.transports[i];
+    if (transport.stats) { out[transport.name || i] = extend({}, transport.stats); }
+  }
+  return out;
+};
+
+// Numeric value addressed by a path, for metric alert rules:
+//   "gauges.<name>", "logCounts.<LEVEL>", "suppressed.<reason>[.<LEVEL>]",
+//   "health.<snapshot path>" (e.g. "health.eventLoop.p99"),
+//   "workers.count", "workers.<id>.<snapshot path>" (e.g. "workers.2.health.cpu.percent"),
+//   "transports.<name>.<stat>" (e.g. "transports.json.dropped"),
+//   "logMetrics.<name>[{label=value,…}][.<stat>]" (e.g. "logMetrics.http_responses{status=500}",
+//   "logMetrics.http_latency_ms.p99"; over `windowMs` if given),
+//   "timers.<name>.<count|min|max|avg|p95|p99|pNN>" (over `windowMs` if given)
+MetricsCollector.prototype.getValue = function(metricPath, windowMs) {
+  var dot     = metricPath.indexOf(".");
+  var section = metricPath.slice(0, dot);
+  var rest    = metricPath.slice(dot + 1);
+
+  if (section === "gauges") {
+    return (typeof this._gauges[rest] === "number") ? this._gauges[rest] : null;
+  }
+  if (section === "logCounts") {
+    return LOG_LEVELS.hasOwnProperty(rest) ? (this._counts[rest] || 0) : null;
+  }
+  if (section === "health") {
+    return this.health ? this.health.getValue(rest) : null;
+  }
+  if (section === "logMetrics") {
+    return this._logMetricValue(rest, windowMs);
+  }
+  if (section === "workers") {
+    if (!this.workers) { return null; }
+    if (rest === "count") { return Object.keys(this.workers).length; }
+    var cut    = rest.indexOf(".");
+    var worker = this.workers[rest.slice(0, cut)];
+    var value  = worker ? getField(worker.toJSON(), rest.slice(cut + 1)) : null;
+    return (typeof value === "number") ? value : null;
+  }
+  if (section === "transports") {
+    var last   = rest.lastIndexOf(".");
+    var stats  = this.transports ? this._transportStats()[rest.slice(0, last)] : null;
+    var number = stats ? stats[rest.slice(last + 1)] : null;
+    return (typeof number === "number") ? number : null;
+  }
+  if (section === "suppressed") {
+    var parts = rest.split(".");
+    if (!this._suppressed.hasOwnProperty(parts[0])) { return null; }
+    return (parts.length > 1) ? (this._suppressed[parts[0]][parts[1]] || 0) : this.suppressedTotal(parts[0]);
+  }
+  if (section === "timers") {
+    var split = rest.lastIndexOf(".");
+    var name  = rest.slice(0, split);
+    var stat  = rest.slice(split + 1);
+    if (/^p\d+(\.\d+)?$/.test(stat) && stat !== "p95" && stat !== "p99") {
+      return this.percentile(name, Number(stat.slice(1)) / 100, windowMs);
+    }
+    var stats = this.getTimerStats(name, windowMs);
+    return (stats && stats.hasOwnProperty(stat)) ? stats[stat] : null;
+  }
+  return null;
+};
+
+// ─────────────────────────────────────────────
+//  LOG-DERIVED METRICS
+// ─────────────────────────────────────────────
+//
+//  Rules that turn matching entries into labeled counters or histograms:
+//    { name: "http_responses", context: "api", messagePattern: "Response sent",
+//      labels: { status: "meta.status" } }
+//    { name: "http_latency_ms", type: "histogram", field: "meta.ms",
+//      labels: ["meta.method"] }
+//  Entries match with the alert-rule filters (level, levels, context,
+//  messagePattern, messageRegex, where). A counter adds 1 per entry, or the
+//  value of `field`; a histogram records `field`. Entries whose `field` is
+//  not a number are counted in `skipped`. Labels map names to entry paths;
+//  an array of paths names each label after its last segment. At most
+//  `maxSeries` label sets are kept per rule, further ones are counted in
+//  `droppedSeries`.
+
+var LOG_METRIC_TYPES = ["counter", "histogram"];
+
+// { status: "meta.status" } or ["meta.status"] → { status: "meta.status" }
+function labelPaths(labels) {
+  var out = {};
+  if (Array.isArray(labels)) {
+    labels.forEach(function(p) { out[p.slice(p.lastIndexOf(".") + 1)] = p; });
+  } else {
+    extend(out, labels);
+  }
+  for (var name in out) {
+    if (out.hasOwnProperty(name) && !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+      throw new Error("Invalid label name: \"" + name + "\"");
+    }
+  }
+  return out;
+}
+
+// count/min/max/avg/p95/p99 of a Histogram, null when it is empty
+function histogramStats(h) {
+  if (h.count === 0) { return null; }
+  return {
+    count: h.count,
+    min:   roundStat(h.min),
+    max:   roundStat(h.max),
+    avg:   roundStat(h.sum / h.count),
+    p95:   roundStat(h.percentile(0.95)),
+    p99:   roundStat(h.percentile(0.99))
+  };
+}
+
+// opts: see above, plus help (Prometheus HELP text), buckets (histogram
+// bucket bounds for Prometheus) and maxSeries (100).
+// histogramOpts: the collector's { relativeAccuracy, maxBins, sliceMs, windows }
+function LogMetric(opts, histogramOpts) {
+  if (!opts || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(opts.name || "")) {
+    throw new Error("A log metric needs a `name` of letters, digits, \"_\" and \":\"");
+  }
+  this.name    = opts.name;
+  this.type    = opts.type || "counter";
+  this.field   = opts.field || null;
+  this.labels  = labelPaths(opts.labels || {});
+  this.help    = opts.help || (this.field ? "Values of " + this.field + " in log entries" : "Log entries")
+    + " matching the \"" + opts.name + "\" rule.";
+  this.buckets = opts.buckets || null;
+  this.maxSeries     = opts.maxSeries || 100;
+  this.droppedSeries = 0;
+  this.skipped       = 0;
+  this.series        = {};
+  this._seriesCount  = 0;
+  this._histogramOpts = histogramOpts || {};
+  this._sliceMs = this._histogramOpts.sliceMs || 10000;
+  this._keepMs  = Math.max.apply(null, this._histogramOpts.windows || [60000, 300000]);
+
+  if (LOG_METRIC_TYPES.indexOf(this.type) === -1) {
+    throw new Error("Unknown log metric type: " + this.type);
+  }
+  if (this.type === "histogram" && !this.field) {
+    throw new Error("Histogram \"" + this.name + "\" needs a `field`");
+  }
+  this._match = compileQuery({
+    level:   opts.level,
+    levels:  opts.levels,
+    context: opts.context,
+    search:  opts.messagePattern,
+    regex:   opts.messageRegex,
+    where:   opts.where
+  });
+}
+
+LogMetric.prototype.observe = function(entry, now) {
+  if (!this._match(entry)) { return; }
+  var value = 1;
+  if (this.field) {
+    value = getField(entry, this.field);
+    if (typeof value !== "number" || !isFinite(value)) {
+      this.skipped++;
+      return;
+    }
+  }
+
+  var labels = {};
+  var key    = [];
+  for (var name in this.labels) {
+    if (!this.labels.hasOwnProperty(name)) { continue; }
+    var v = getField(entry, this.labels[name]);
+    labels[name] = (v === undefined || v === null) ? "" : String(v);
+    key.push(name + "=" + labels[name]);
+  }
+  key = key.join(",");
+
+  var series = this.series[key];
+  if (!series) {
+    if (this._seriesCount >= this.maxSeries) {
+      this.droppedSeries++;
+      return;
+    }
+    series = this.series[key] = (this.type === "histogram")
+      ? { labels: labels, hist: new TimerHistogram(this._histogramOpts) }
+      : { labels: labels, value: 0, slices: [] };
+    this._seriesCount++;
+  }
+  if (series.hist) {
+    series.hist.record(value, now);
+    return;
+  }
+
+  // Counters keep time slices too, so alert rules can read a window
+  now = now || Date.now();
+  series.value += value;
+  var slices = series.slices;
+  var last   = slices[slices.length - 1];
+  if (!last || now - last.start >= this._sliceMs) {
+    last = { start: now - (now % this._sliceMs), value: 0 };
+    slices.push(last);
+  }
+  last.value += value;
+  while (slices[0].start + this._sliceMs <= now - this._keepMs) { slices.shift(); }
+};
+
+// Series whose labels include every pair in `labels`
+LogMetric.prototype._select = function(labels) {
+  var out = [];
+  for (var key in this.series) {
+    if (!this.series.hasOwnProperty(key)) { continue; }
+    var series = this.series[key];
+    var ok = true;
+    for (var name in labels) {
+      if (labels.hasOwnProperty(name) && series.labels[name] !== labels[name]) { ok = false; }
+    }
+    if (ok) { out.push(series); }
+  }
+  return out;
+};
+
+// Counter: the sum of the selected series (within `windowMs` if given).
+// Histogram: `stat` (count, sum, min, max, avg, p95, p99, pNN) over the
+// selected series merged.
+LogMetric.prototype.getValue = function(labels, stat, windowMs) {
+  var selected = this._select(labels || {});
+  var now = Date.now();
+  var i;
+
+  if (this.type === "counter") {
+    if (stat) { return null; }
+    var total = 0;
+    for (i = 0; i < selected.length; i++) {
+      if (!windowMs) {
+        total += selected[i].value;
+        continue;
+      }
+      selected[i].slices.forEach(function(slice) {
+        if (slice.start + this._sliceMs > now - windowMs) { total += slice.value; }
+      }, this);
+    }
+    return total;
+  }
+
+  var merged = new Histogram(this._histogramOpts);
+  for (i = 0; i < selected.length; i++) {
+    merged.merge(windowMs ? selected[i].hist.window(windowMs, now) : selected[i].hist.total);
+  }
+  if (stat === "count") { return merged.count; }
+  if (merged.count === 0) { return null; }
+  if (stat === "sum")   { return roundStat(merged.sum); }
+  if (stat === "min")   { return roundStat(merged.min); }
+  if (stat === "max")   { return roundStat(merged.max); }
+  if (stat === "avg")   { return roundStat(merged.sum / merged.count); }
+  var p = /^p(\d+(?:\.\d+)?)$/.exec(stat || "");
+  return p ? roundStat(merged.percentile(Number(p[1]) / 100)) : null;
+};
+
+// Snapshot form: the total plus one value (or stats) per label set
+LogMetric.prototype.toJSON = function() {
+  var out = { type: this.type };
+  if (this.type === "counter") {
+    out.total = this.getValue({});
+  } else {
+    var all = new Histogram(this._histogramOpts);
+    for (var k in this.series) {
+      if (this.series.hasOwnProperty(k)) { all.merge(this.series[k].hist.total); }
+    }
+    out.total = histogramStats(all);
+  }
+  if (Object.keys(this.labels).length > 0) {
+    out.series = {};
+    for (var key in this.series) {
+      if (!this.series.hasOwnProperty(key)) { continue; }
+      var series = this.series[key];
+      out.series[key] = series.hist ? histogramStats(series.hist.total) : series.value;
+    }
+  }
+  if (this.skipped > 0)       { out.skipped = this.skipped; }
+  if (this.droppedSeries > 0) { out.droppedSeries = this.droppedSeries; }
+  return out;
+};
+
+MetricsCollector.prototype.addLogMetric = function(opts) {
+  var metric = new LogMetric(opts, this._histogramOpts);
+  if (this._logMetrics.hasOwnProperty(metric.name)) {
+    throw new Error("Log metric \"" + metric.name + "\" already exists");
+  }
+  this._logMetrics[metric.name] = metric;
+  return metric;
+};
+
+MetricsCollector.prototype.removeLogMetric = function(name) {
+  var existed = this._logMetrics.hasOwnProperty(name);
+  delete this._logMetrics[name];
+  return existed;
+};
+
+MetricsCollector.prototype.observeEntry = function(entry) {
+  for (var name in this._logMetrics) {
+    if (this._logMetrics.hasOwnProperty(name)) { this._logMetrics[name].observe(entry); }
+  }
+};
+
+// "http_latency_ms{method=GET,status=200}.p99" → value; the label selector
+// and, for counters, the stat are optional
+MetricsCollector.prototype._logMetricValue = function(selector, windowMs) {
+  var m = /^([^{.]+)(?:\{([^}]*)\})?(?:\.(.+))?$/.exec(selector);
+  var metric = m && this._logMetrics.hasOwnProperty(m[1]) ? this._logMetrics[m[1]] : null;
+  if (!metric) { return null; }
+  var labels = {};
+  (m[2] || "").split(",").forEach(function(pair) {
+    var eq = pair.indexOf("=");
+    if (eq > 0) { labels[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim().replace(/^"(.*)"$/, "$1"); }
+  });
+  return metric.getValue(labels, m[3], windowMs);
+};
+
+// ─────────────────────────────────────────────
+//  PROMETHEUS / OPENMETRICS EXPOSITION
+// ─────────────────────────────────────────────
+
+var PROMETHEUS_CONTENT_TYPE  = "text/plain; version=0.0.4; charset=utf-8";
+var OPENMETRICS_CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+var DEFAULT_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+function promName(name) {
+  var clean = String(name).replace(/[^a-zA-Z0-9_:]/g, "_");
+  return /^[0-9]/.test(clean) ? "_" + clean : clean;
+}
+
+function promEscape(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function promValue(value) {
+  if (value === Infinity)  { return "+Inf"; }
+  if (value === -Infinity) { return "-Inf"; }
+  if (isNaN(value))        { return "NaN"; }
+  return String(value);
+}
+
+function promLabels(labels) {
+  var parts = [];
+  for (var key in labels) {
+    if (labels.hasOwnProperty(key)) {
+      parts.push(promName(key) + "=\"" + promEscape(labels[key]) + "\"");
+    }
+  }
+  return parts.length > 0 ? "{" + parts.join(",") + "}" : "";
+}
+
+// Appends HELP/TYPE lines and samples for one metric family.
+// samples: [{ suffix, labels, value }]
+function promFamily(lines, name, type, help, samples, exp) {
+  if (samples.length === 0) { return; }
+  var family = (exp.openMetrics && type === "counter") ? name.replace(/_total$/, "") : name;
+  lines.push("# HELP " + family + " " + help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+  lines.push("# TYPE " + family + " " + type);
+  for (var i = 0; i < samples.length; i++) {
+    var sample = samples[i];
+    lines.push(name + (sample.suffix || "") + promLabels(extend({}, exp.labels, sample.labels))
+      + " " + promValue(sample.value));
+  }
+}
+
+// Cumulative counts per bucket upper bound (ms), plus the +Inf count and sum
+MetricsCollector.prototype._timerBuckets = function(name, bucketsMs) {
+  var h = this._histograms[name].total;
+  return { counts: h.cumulativeCounts(bucketsMs), count: h.count, sum: h.sum };
+};
+
+// opts: { prefix, labels, buckets (ms), openMetrics }
+MetricsCollector.prototype.toPrometheus = function(opts) {
+  opts = opts || {};
+  var exp     = { labels: opts.labels || {}, openMetrics: !!opts.openMetrics };
+  var prefix  = opts.prefix ? promName(opts.prefix) : "";
+  var buckets = opts.buckets || DEFAULT_BUCKETS_MS;
+  var lines   = [];
+  var mem     = process.memoryUsage();
+  var cpu     = process.cpuUsage();
+  var load    = os.loadavg();
+  var samples = [];
+  var name;
+
+  levelNames().forEach(function(lvl) {
+    if (lvl !== "SILENT") { samples.push({ labels: { level: lvl }, value: this._counts[lvl] || 0 }); }
+  }, this);
+  promFamily(lines, prefix + "log_entries_total", "counter", "Log entries written, by level.", samples, exp);
+
+  samples = [];
+  for (var reason in this._suppressed) {
+    if (!this._suppressed.hasOwnProperty(reason)) { continue; }
+    for (var lvl in this._suppressed[reason]) {
+      if (this._suppressed[reason].hasOwnProperty(lvl)) {
+        samples.push({ labels: { reason: reason, level: lvl }, value: this._suppressed[reason][lvl] });
+      }
+    }
+  }
+  promFamily(lines, prefix + "log_entries_suppressed_total", "counter",
+    "Log entries dropped by sampling, rate limits or dedupe, by reason and level.", samples, exp);
+
+  var transportStats = this.transports ? this._transportStats() : {};
+  var dropped = [];
+  var retried = [];
+  for (name in transportStats) {
+    if (!transportStats.hasOwnProperty(name)) { continue; }
+    var ts = transportStats[name];
+    if (typeof ts.dropped === "number") { dropped.push({ labels: { transport: name }, value: ts.dropped }); }
+    if (typeof ts.retried === "number") { retried.push({ labels: { transport: name }, value: ts.retried }); }
+  }
+  promFamily(lines, prefix + "log_transport_dropped_total", "counter",
+    "Log lines a transport discarded (buffer overflow, failed writes), by transport.", dropped, exp);
+  promFamily(lines, prefix + "log_transport_retried_total", "counter",
+    "Failed transport writes that were retried, by transport.", retried, exp);
+
+  for (name in this._gauges) {
+    if (this._gauges.hasOwnProperty(name) && typeof this._gauges[name] === "number") {
+      promFamily(lines, prefix + promName(name), "gauge", "Gauge \"" + name + "\" set via setGauge.",
+        [{ value: this._gauges[name] }], exp);
+    }
+  }
+
+  samples = [];
+  for (name in this._histograms) {
+    if (!this._histograms.hasOwnProperty(name)) { continue; }
+    var h = this._timerBuckets(name, buckets);
+    if (h.count === 0) { continue; }
+    for (var b = 0; b < buckets.length; b++) {
+      samples.push({ suffix: "_bucket", labels: { timer: name, le: promValue(buckets[b] / 1000) }, value: h.counts[b] });
+    }
+    samples.push({ suffix: "_bucket", labels: { timer: name, le: "+Inf" }, value: h.count });
+    samples.push({ suffix: "_sum",    labels: { timer: name }, value: h.sum / 1000 });
+    samples.push({ suffix: "_count",  labels: { timer: name }, value: h.count });
+  }
+  promFamily(lines, prefix + "timer_duration_seconds", "histogram", "Durations recorded with startTimer/endTimer.", samples, exp);
+
+  for (name in this._logMetrics) {
+    if (this._logMetrics.hasOwnProperty(name)) { logMetricPrometheus(lines, prefix, this._logMetrics[name], buckets, exp); }
+  }
+
+  promFamily(lines, "process_cpu_user_seconds_total", "counter", "User CPU time spent in seconds.",
+    [{ value: cpu.user / 1e6 }], exp);
+  promFamily(lines, "process_cpu_system_seconds_total", "counter", "System CPU time spent in seconds.",
+    [{ value: cpu.system / 1e6 }], exp);
+  promFamily(lines, "process_resident_memory_bytes", "gauge", "Resident memory size in bytes.",
+    [{ value: mem.rss }], exp);
+  promFamily(lines, "process_start_time_seconds", "gauge", "Start time of the process since unix epoch in seconds.",
+    [{ value: Math.round((Date.now() - process.uptime() * 1000) / 1000) }], exp);
+  promFamily(lines, "nodejs_heap_size_total_bytes", "gauge", "Process heap size from Node.js in bytes.",
+    [{ value: mem.heapTotal }], exp);
+  promFamily(lines, "nodejs_heap_size_used_bytes", "gauge", "Process heap size used from Node.js in bytes.",
+    [{ value: mem.heapUsed }], exp);
+  promFamily(lines, "nodejs_external_memory_bytes", "gauge", "Node.js external memory size in bytes.",
+    [{ value: mem.external }], exp);
+  promFamily(lines, "nodejs_version_info", "gauge", "Node.js version info.",
+    [{ labels: { version: process.version }, value: 1 }], exp);
+  promFamily(lines, prefix + "uptime_seconds", "gauge", "Seconds since the metrics collector started.",
+    [{ value: (Date.now() - this._startedAt) / 1000 }], exp);
+  promFamily(lines, "os_memory_total_bytes", "gauge", "Total system memory in bytes.",
+    [{ value: os.totalmem() }], exp);
+  promFamily(lines, "os_memory_free_bytes", "gauge", "Free system memory in bytes.",
+    [{ value: os.freemem() }], exp);
+  promFamily(lines, "os_load_average", "gauge", "System load average.", [
+    { labels: { window: "1m" },  value: load[0] },
+    { labels: { window: "5m" },  value: load[1] },
+    { labels: { window: "15m" }, value: load[2] }
+  ], exp);
+  promFamily(lines, "os_cpu_count", "gauge", "Number of logical CPUs.",
+    [{ value: os.cpus().length }], exp);
+  if (this.health) { healthPrometheus(lines, this.health, exp); }
+
+  if (exp.openMetrics) { lines.push("# EOF"); }
+  return lines.join("\n") + "\n";
+};
+
+// Counters get a "_total" suffix; histogram buckets are in the field's own unit
+function logMetricPrometheus(lines, prefix, metric, buckets, exp) {
+  var samples = [];
+  var bounds  = metric.buckets || buckets;
+  for (var key in metric.series) {
+    if (!metric.series.hasOwnProperty(key)) { continue; }
+    var series = metric.series[key];
+    if (!series.hist) {
+      samples.push({ labels: series.labels, value: series.value });
+      continue;
+    }
+    var h      = series.hist.total;
+    var counts = h.cumulativeCounts(bounds);
+    for (var b = 0; b < bounds.length; b++) {
+      samples.push({ suffix: "_bucket", labels: extend({}, series.labels, { le: promValue(bounds[b]) }), value: counts[b] });
+    }
+    samples.push({ suffix: "_bucket", labels: extend({}, series.labels, { le: "+Inf" }), value: h.count });
+    samples.push({ suffix: "_sum",    labels: series.labels, value: h.sum });
+    samples.push({ suffix: "_count",  labels: series.labels, value: h.count });
+  }
+  var family = prefix + promName(metric.name);
+  if (metric.type === "counter" && !/_total$/.test(family)) { family += "_total"; }
+  promFamily(lines, family, metric.type, metric.help, samples, exp);
+}
+
+// Atomic write for the node_exporter textfile collector
+MetricsCollector.prototype.writePrometheus = function(filePath, opts, callback) {
+  if (typeof opts === "function") { callback = opts; opts = {}; }
+  var tmp  = filePath + ".tmp";
+  var body = this.toPrometheus(opts);
+  fs.writeFile(tmp, body, function(err) {
+    if (err) { if (callback) { callback(err); } return; }
+    fs.rename(tmp, filePath, function(renameErr) {
+      if (callback) { callback(renameErr || null); }
+    });
+  });
+};
+
+// ─────────────────────────────────────────────
+//  HEALTH MONITOR
+// ─────────────────────────────────────────────
+//
+//  Event-loop delay, GC pauses, V8 heap spaces, active handles and CPU %.
+//  Rates and delay percentiles cover the last completed interval
+//  (`intervalMs`); GC counts and durations are totals since start.
+//  Attached to a MetricsCollector, it shows up in snapshot(), report(),
+//  toPrometheus() and as "health.*" metric paths for alert rules.
+
+var GC_KINDS = {};
+GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_MINOR]       = "minor";
+GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_MAJOR]       = "major";
+GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_INCREMENTAL] = "incremental";
+GC_KINDS[perfHooks.constants.NODE_PERFORMANCE_GC_WEAKCB]      = "weakcb";
+
+function nsToMs(ns) {
+  return Math.round(ns / 1e4) / 100;
+}
+
+function bytesToMBNumber(bytes) {
+  return Math.round(bytes / 1048576 * 100) / 100;
+}
+
+// opts: { resolution (ms, default 10), intervalMs (default 5000), gc (default true) }
+function HealthMonitor(opts) {
+  opts = opts || {};
+  this.resolution = opts.resolution || 10;
+  this.intervalMs = opts.intervalMs || 5000;
+
+  this._delay = perfHooks.monitorEventLoopDelay({ resolution: this.resolution });
+  this._delay.enable();
+  this._lag        = null;
+  this._gc         = {};
+  this._gcInterval = { count: 0, pauseMs: 0 };
+  this._gcLast     = { count: 0, pauseMs: 0 };
+  this._cpuPrev    = process.cpuUsage();
+  this._cpuAt      = Date.now();
+  this._cpuPercent = null;
+
+  var self = this;
+  if (opts.gc !== false) {
+    this._gcObserver = new perfHooks.PerformanceObserver(function(list) {
+      list.getEntries().forEach(function(entry) { self._recordGc(entry); });
+    });
+    this._gcObserver.observe({ entryTypes: ["gc"] });
+  }
+
+  this._timer = setInterval(function() { self.sample(); }, this.intervalMs);
+  this._timer.unref();
+}
+
+HealthMonitor.prototype._recordGc = function(entry) {
+  var kindCode = entry.detail ? entry.detail.kind : entry.kind;
+  var kind  = GC_KINDS[kindCode] || "other";
+  var stats = this._gc[kind] || (this._gc[kind] = { count: 0, totalMs: 0, maxMs: 0 });
+  stats.count++;
+  stats.totalMs += entry.duration;
+  if (entry.duration > stats.maxMs) { stats.maxMs = entry.duration; }
+  this._gcInterval.count++;
+  this._gcInterval.pauseMs += entry.duration;
+};
+
+HealthMonitor.prototype._readLag = function() {
+  var h = this._delay;
+  if (h.count === 0) { return null; }
+  return {
+    min:    nsToMs(h.min),
+    mean:   nsToMs(h.mean),
+    max:    nsToMs(h.max),
+    stddev: nsToMs(h.stddev),
+    p50:    nsToMs(h.percentile(50)),
+    p90:    nsToMs(h.percentile(90)),
+    p99:    nsToMs(h.percentile(99))
+  };
+};
+
+// Closes the current interval: delay percentiles, CPU % and GC pause time
+HealthMonitor.prototype.sample = function() {
+  var now = Date.now();
+  this._lag = this._readLag();
+  this._delay.reset();
+
+  var cpu = process.cpuUsage(this._cpuPrev);
+  var elapsedMs = now - this._cpuAt;
+  if (elapsedMs > 0) {
+    this._cpuPercent = Math.round((cpu.user + cpu.system) / 10 / elapsedMs * 10) / 10;
+  }
+  this._cpuPrev = process.cpuUsage();
+  this._cpuAt   = now;
+
+  this._gcLast     = this._gcInterval;
+  this._gcInterval = { count: 0, pauseMs: 0 };
+};
+
+// { type: count } of the handles and requests keeping the loop alive
+function activeResources() {
+  var counts = {};
+  var list;
+  if (typeof process.getActiveResourcesInfo === "function") {
+    list = process.getActiveResourcesInfo();
+  } else {
+    list = process._getActiveHandles().map(function(h) { return (h && h.constructor && h.constructor.name) || "Handle"; })
+      .concat(process._getActiveRequests().map(function() { return "Request"; }));
+  }
+  for (var i = 0; i < list.length; i++) { counts[list[i]] = (counts[list[i]] || 0) + 1; }
+  return counts;
+}
+
+HealthMonitor.prototype.snapshot = function() {
+  var heapStats = v8.getHeapStatistics();
+  var spaces = {};
+  v8.getHeapSpaceStatistics().forEach(function(space) {
+    spaces[space.space_name] = {
+      usedMB:      bytesToMBNumber(space.space_used_size),
+      sizeMB:      bytesToMBNumber(space.space_size),
+      availableMB: bytesToMBNumber(space.space_available_size)
+    };
+  });
+
+  var gc = {};
+  for (var kind in this._gc) {
+    if (this._gc.hasOwnProperty(kind)) {
+      var g = this._gc[kind];
+      gc[kind] = { count: g.count, totalMs: roundStat(g.totalMs), maxMs: roundStat(g.maxMs) };
+    }
+  }
+
+  var resources = activeResources();
+  var handles = 0;
+  for (var type in resources) {
+    if (resources.hasOwnProperty(type)) { handles += resources[type]; }
+  }
+
+  return {
+    eventLoop: this._lag || this._readLag() || { min: 0, mean: 0, max: 0, stddev: 0, p50: 0, p90: 0, p99: 0 },
+    cpu:       { percent: this._cpuPercent },
+    gc: {
+      byKind:          gc,
+      intervalCount:   this._gcLast.count,
+      intervalPauseMs: roundStat(this._gcLast.pauseMs)
+    },
+    heap: {
+      usedMB:       bytesToMBNumber(heapStats.used_heap_size),
+      limitMB:      bytesToMBNumber(heapStats.heap_size_limit),
+      usedPercent:  Math.round(heapStats.used_heap_size / heapStats.heap_size_limit * 1000) / 10,
+      spaces:       spaces
+    },
+    handles: { total: handles, byType: resources }
+  };
+};
+
+// Number at a snapshot path such as "eventLoop.p99" or "gc.byKind.major.maxMs"
+HealthMonitor.prototype.getValue = function(fieldPath) {
+  var value = getField(this.snapshot(), fieldPath);
+  return (typeof value === "number") ? value : null;
+};
+
+HealthMonitor.prototype.stop = function() {
+  clearInterval(this._timer);
+  this._delay.disable();
+  if (this._gcObserver) { this._gcObserver.disconnect(); }
+};
+
+function healthPrometheus(lines, health, exp) {
+  var snap = health.snapshot();
+  var lag  = snap.eventLoop;
+  promFamily(lines, "nodejs_eventloop_lag_seconds", "gauge",
+    "Event-loop delay over the last interval, in seconds.", ["min", "mean", "max", "p50", "p90", "p99"].map(function(stat) {
+      return { labels: { stat: stat }, value: Math.round(lag[stat] * 1000) / 1e6 };
+    }), exp);
+  if (snap.cpu.percent !== null) {
+    promFamily(lines, "process_cpu_percent", "gauge", "Process CPU usage over the last interval, in percent of one core.",
+      [{ value: snap.cpu.percent }], exp);
+  }
+
+  var runs = [];
+  var pauses = [];
+  for (var kind in snap.gc.byKind) {
+    if (snap.gc.byKind.hasOwnProperty(kind)) {
+      runs.push({ labels: { kind: kind }, value: snap.gc.byKind[kind].count });
+      pauses.push({ labels: { kind: kind }, value: snap.gc.byKind[kind].totalMs / 1000 });
+    }
+  }
+  promFamily(lines, "nodejs_gc_runs_total", "counter", "Garbage collections, by kind.", runs, exp);
+  promFamily(lines, "nodejs_gc_pause_seconds_total", "counter", "Time spent in garbage collection, by kind.", pauses, exp);
+
+  var used = [];
+  var size = [];
+  v8.getHeapSpaceStatistics().forEach(function(space) {
+    used.push({ labels: { space: space.space_name }, value: space.space_used_size });
+    size.push({ labels: { space: space.space_name }, value: space.space_size });
+  });
+  promFamily(lines, "nodejs_heap_space_used_bytes", "gauge", "Used size of each V8 heap space, in bytes.", used, exp);
+  promFamily(lines, "nodejs_heap_space_size_bytes", "gauge", "Size of each V8 heap space, in bytes.", size, exp);
+
+  var handles = [];
+  for (var type in snap.handles.byType) {
+    if (snap.handles.byType.hasOwnProperty(type)) {
+      handles.push({ labels: { type: type }, value: snap.handles.byType[type] });
+    }
+  }
+  promFamily(lines, "nodejs_active_resources", "gauge", "Active handles and requests, by type.", handles, exp);
+}
+
+// ─────────────────────────────────────────────
+//  ALERT MANAGER
+// ─────────────────────────────────────────────
+
+//  Rule types:
+//    entry    — fires on each matching entry, limited by `cooldownMs` (default)
+//    rate     — fires while more than `threshold` matching entries arrived
+//               within `windowMs`; resolves when the count drops back
+//    absence  — fires when no matching entry arrived for `windowMs`;
+//               resolves on the next one
+//    metric   — fires while `metric` (see MetricsCollector#getValue) compared
+//               with `op` against `threshold` holds for at least `forMs`
+//  Entry matching takes the query filters: level, levels, context,
+//  messagePattern (substring), messageRegex and where.
+//  Entry rules emit "alert" ({ rule, entry }); stateful rules emit
+//  "alert:firing" / "alert:resolved" instead.
+
+var ALERT_OPS = {
+  ">":  function(a, b) { return a > b; },
+  ">=": function(a, b) { return a >= b; },
+  "<":  function(a, b) { return a < b; },
+  "<=": function(a, b) { return a <= b; },
+  "==": function(a, b) { return a === b; },
+  "!=": function(a, b) { return a !== b; }
+};
+
+function AlertManager(emitter, metrics, opts) {
+  opts = opts || {};
+  this._emitter  = emitter;
+  this._metrics  = metrics || null;
+  this._rules    = [];
+  this._cooldowns = {};
+  this._evaluateInterval = opts.evaluateInterval || 1000;
+  this._timer    = null;
+  this._channels = {};
+}
+
+AlertManager.prototype.addRule = function(opts) {
+  // opts: { name, type, level, context, messagePattern, cooldownMs, handler,
+  //         threshold, windowMs, metric, op, forMs, onResolve }
+  var type = opts.type || "entry";
+  var rule = {
+    name:           opts.name || "rule_" + this._rules.length,
+    type:           type,
+    level:          opts.level || (type === "entry" ? "ERROR" : null),
+    messagePattern: opts.messagePattern || null,
+    cooldownMs:     opts.cooldownMs || 60000,
+    handler:        opts.handler || null,
+    onResolve:      opts.onResolve || null,
+    threshold:      opts.threshold,
+    windowMs:       opts.windowMs || 60000,
+    metric:         opts.metric || null,
+    op:             opts.op || ">",
+    forMs:          opts.forMs || 0,
+    channels:       opts.channels || null,
+    state:          "ok",
+    value:          null,
+    firedAt:        null,
+    resolvedAt:     null
+  };
+
+  if (type !== "entry" && type !== "rate" && type !== "absence" && type !== "metric") {
+    throw new Error("Unknown alert rule type: " + type);
+  }
+  if (type === "metric" && (!rule.metric || !ALERT_OPS[rule.op])) {
+    throw new Error("Metric rule \"" + rule.name + "\" needs `metric` and a valid `op`");
+  }
+  if ((type === "rate" || type === "metric") && typeof rule.threshold !== "number") {
+    throw new Error("Rule \"" + rule.name + "\" needs a numeric `threshold`");
+  }
+
+  if (type !== "metric") {
+    rule.match = compileQuery({
+      level:   rule.level,
+      levels:  opts.levels,
+      context: opts.context,
+      search:  rule.messagePattern,
+      regex:   opts.messageRegex,
+      where:   opts.where
+    });
+  }
+  if (type === "rate") {
+    rule._buckets  = [];
+    rule._bucketMs = Math.min(1000, Math.max(1, Math.floor(rule.windowMs / 10)));
+  }
+  if (type === "absence") { rule._lastSeen = Date.now(); }
+  if (type === "metric")  { rule._trueSince = null; }
+
+  this._rules.push(rule);
+  if (type !== "entry") { this._ensureTimer(); }
+  return rule;
+};
+
+AlertManager.prototype.removeRule = function(name) {
+  for (var i = 0; i < this._rules.length; i++) {
+    if (this._rules[i].name === name) {
+      this._rules.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+AlertManager.prototype._ensureTimer = function() {
+  if (this._timer) { return; }
+  this._timer = setInterval(this.tick.bind(this), this._evaluateInterval);
+  this._timer.unref();
+};
+
+AlertManager.prototype.stop = function() {
+  if (this._timer) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+};
+
+AlertManager.prototype.evaluate = function(entry) {
+  var self = this;
+  var now  = Date.now();
+  for (var i = 0; i < self._rules.length; i++) {
+    var rule = self._rules[i];
+    if (rule.type === "metric" || !rule.match(entry)) { continue; }
+
+    if (rule.type === "rate") {
+      self._countRate(rule, now);
+      self._checkRate(rule, now);
+      continue;
+    }
+    if (rule.type === "absence") {
+      rule._lastSeen = now;
+      if (rule.state === "firing") {
+        self._resolve(rule, 0, "Matching entry received: " + entry.message);
+      }
+      continue;
+    }
+
+    var lastAt = self._cooldowns[rule.name] || 0;
+    if (now - lastAt < rule.cooldownMs) { continue; }
+
+    self._cooldowns[rule.name] = now;
+    rule.firedAt = formatTimestamp(new Date(now));
+    self._emitter.emit("alert", { rule: rule.name, entry: entry });
+    if (typeof rule.handler === "function") { rule.handler(entry); }
+    self._notify(rule, {
+      rule:    rule.name,
+      type:    "entry",
+      state:   "firing",
+      message: entry.message,
+      since:   rule.firedAt,
+      entry:   entry
+    });
+  }
+};
+
+// Periodic evaluation: rate windows expiring, absence timeouts, metrics
+AlertManager.prototype.tick = function(now) {
+  now = now || Date.now();
+  for (var i = 0; i < this._rules.length; i++) {
+    var rule = this._rules[i];
+    if (rule.type === "rate") {
+      this._checkRate(rule, now);
+    } else if (rule.type === "absence") {
+      var silentMs = now - rule._lastSeen;
+      if (rule.state === "ok" && silentMs >= rule.windowMs) {
+        this._fire(rule, silentMs, "No matching entries for " + Math.round(silentMs / 1000) + "s");
+      }
+    } else if (rule.type === "metric") {
+      this._checkMetric(rule, now);
+    }
+  }
+};
+
+// Buckets of a tenth of the window (at most 1 s) keep rate rules at bounded
+// memory; a bucket counts until its end leaves the window
+AlertManager.prototype._countRate = function(rule, now) {
+  var start = now - (now % rule._bucketMs);
+  var last  = rule._buckets[rule._buckets.length - 1];
+  if (last && last.t === start) {
+    last.n++;
+  } else {
+    rule._buckets.push({ t: start, n: 1 });
+  }
+};
+
+AlertManager.prototype._checkRate = function(rule, now) {
+  while (rule._buckets.length > 0 && rule._buckets[0].t + rule._bucketMs <= now - rule.windowMs) {
+    rule._buckets.shift();
+  }
+  var count = 0;
+  for (var i = 0; i < rule._buckets.length; i++) { count += rule._buckets[i].n; }
+  rule.value = count;
+
+  var text = count + " matching entries in the last " + formatSeconds(rule.windowMs)
+    + " (threshold " + rule.threshold + ")";
+  if (rule.state === "ok" && count > rule.threshold) {
+    this._fire(rule, count, text);
+  } else if (rule.state === "firing" && count <= rule.threshold) {
+    this._resolve(rule, count, text);
+  }
+};
+
+AlertManager.prototype._checkMetric = function(rule, now) {
+  var value = this._metrics ? this._metrics.getValue(rule.metric, rule.windowMs) : null;
+  rule.value = value;
+  var holds = (typeof value === "number") && ALERT_OPS[rule.op](value, rule.threshold);
+  var text  = rule.metric + " = " + value + " (" + rule.op + " " + rule.threshold + ")";
+
+  if (!holds) {
+    rule._trueSince = null;
+    if (rule.state === "firing") { this._resolve(rule, value, text); }
+    return;
+  }
+  if (rule._trueSince === null) { rule._trueSince = now; }
+  if (rule.state === "ok" && now - rule._trueSince >= rule.forMs) {
+    this._fire(rule, value, text);
+  }
+};
+
+AlertManager.prototype._fire = function(rule, value, message) {
+  rule.state   = "firing";
+  rule.value   = value;
+  rule.firedAt = formatTimestamp(new Date());
+  var alert = {
+    rule:      rule.name,
+    type:      rule.type,
+    state:     "firing",
+    value:     value,
+    threshold: (rule.threshold !== undefined) ? rule.threshold : null,
+    windowMs:  rule.windowMs,
+    message:   message,
+    since:     rule.firedAt
+  };
+  this._emitter.emit("alert:firing", alert);
+  if (typeof rule.handler === "function") { rule.handler(alert); }
+  this._notify(rule, alert);
+};
+
+AlertManager.prototype._resolve = function(rule, value, message) {
+  rule.state      = "ok";
+  rule.value      = value;
+  rule.resolvedAt = formatTimestamp(new Date());
+  var alert = {
+    rule:       rule.name,
+    type:       rule.type,
+    state:      "resolved",
+    value:      value,
+    threshold:  (rule.threshold !== undefined) ? rule.threshold : null,
+    windowMs:   rule.windowMs,
+    message:    message,
+    since:      rule.firedAt,
+    resolvedAt: rule.resolvedAt
+  };
+  this._emitter.emit("alert:resolved", alert);
+  if (typeof rule.onResolve === "function") { rule.onResolve(alert); }
+  this._notify(rule, alert);
+};
+
+// ── Notification channels ─────────────────────
+// opts: { retries, backoffMs, maxBackoffMs, states, rateLimit: { max, intervalMs } }
+AlertManager.prototype.addChannel = function(name, notifier, opts) {
+  opts = opts || {};
+  if (!notifier || typeof notifier.send !== "function") {
+    throw new TypeError("Notifier must implement send(alert, callback)");
+  }
+  this._channels[name] = {
+    name:         name,
+    notifier:     notifier,
+    retries:      (opts.retries !== undefined) ? opts.retries : 3,
+    backoffMs:    opts.backoffMs    || 1000,
+    maxBackoffMs: opts.maxBackoffMs || 30000,
+    states:       opts.states       || ["firing", "resolved"],
+    rateLimit:    opts.rateLimit    || null,
+    _sentAt:      [],
+    stats:        { sent: 0, failed: 0, retried: 0, dropped: 0 }
+  };
+  return this;
+};
+
+AlertManager.prototype.removeChannel = function(name) {
+  var existed = this._channels.hasOwnProperty(name);
+  delete this._channels[name];
+  return existed;
+};
+
+AlertManager.prototype.getChannelStats = function() {
+  var stats = {};
+  for (var name in this._channels) {
+    if (this._channels.hasOwnProperty(name)) { stats[name] = extend({}, this._channels[name].stats); }
+  }
+  return stats;
+};
+
+// Rules without `channels` notify every channel
+AlertManager.prototype._notify = function(rule, alert) {
+  var payload = extend({ hostname: os.hostname(), pid: process.pid }, alert);
+  for (var name in this._channels) {
+    if (!this._channels.hasOwnProperty(name)) { continue; }
+    if (rule.channels && rule.channels.indexOf(name) === -1) { continue; }
+    var channel = this._channels[name];
+    if (channel.states.indexOf(payload.state) === -1) { continue; }
+    if (this._rateLimited(channel)) {
+      channel.stats.dropped++;
+      this._deliveryFailed(channel, payload, new Error("Rate limit exceeded"), 0);
+      continue;
+    }
+    this._deliver(channel, payload, 1);
+  }
+};
+
+AlertManager.prototype._rateLimited = function(channel) {
+  var limit = channel.rateLimit;
+  if (!limit) { return false; }
+  var now = Date.now();
+  while (channel._sentAt.length > 0 && channel._sentAt[0] <= now - (limit.intervalMs || 60000)) {
+    channel._sentAt.shift();
+  }
+  if (channel._sentAt.length >= limit.max) { return true; }
+  channel._sentAt.push(now);
+  return false;
+};
+
+AlertManager.prototype._deliver = function(channel, alert, attempt) {
+  var self = this;
+  var callback = once(function(err) {
+    if (!err) {
+      channel.stats.sent++;
+      self._emitter.emit("alert:delivered", { channel: channel.name, alert: alert, attempts: attempt });
+      return;
+    }
+    if (attempt <= channel.retries) {
+      channel.stats.retried++;
+      var delay = Math.min(channel.backoffMs * Math.pow(2, attempt - 1), channel.maxBackoffMs);
+      setTimeout(function() { self._deliver(channel, alert, attempt + 1); }, delay).unref();
+      return;
+    }
+    channel.stats.failed++;
+    self._deliveryFailed(channel, alert, err, attempt);
+  });
+
+  try {
+    channel.notifier.send(alert, callback);
+  } catch (err) {
+    callback(err);
+  }
+};
+
+AlertManager.prototype._deliveryFailed = function(channel, alert, err, attempts) {
+  var event = { channel: channel.name, alert: alert, error: err, attempts: attempts };
+  if (this._emitter.listenerCount("alert:delivery-failed") > 0) {
+    this._emitter.emit("alert:delivery-failed", event);
+  } else {
+    process.stderr.write("[AlertManager] Delivery to \"" + channel.name + "\" failed: " + err.message + "\n");
+  }
+};
+
+// Current state of every rule, e.g. for a status page
+AlertManager.prototype.getStates = function() {
+  return this._rules.map(function(rule) {
+    return {
+      name:       rule.name,
+      type:       rule.type,
+      state:      rule.state,
+      value:      rule.value,
+      threshold:  (rule.threshold !== undefined) ? rule.threshold : null,
+      firedAt:    rule.firedAt,
+      resolvedAt: rule.resolvedAt
+    };
+  });
+};
+
+// ─────────────────────────────────────────────
+//  ALERT NOTIFIERS
+// ─────────────────────────────────────────────
+//
+//  A notifier is any object with `send(alert, callback(err))`. Channels wrap
+//  a notifier with retries, exponential backoff and a rate limit; see
+//  AlertManager#addChannel. Failed deliveries emit "alert:delivery-failed".
+
+// Deep-copies a template, interpolating every string. A string that is
+// exactly one placeholder keeps the value's type ("{value}" → 42).
+function renderTemplate(template, data) {
+  if (typeof template === "string") {
+    var single = /^\{([\w.$-]+)\}$/.exec(template);
+    if (single) {
+      var value = getField(data, single[1]);
+      return (value === undefined) ? null : value;
+    }
+    return interpolate(template, data);
+  }
+  if (Array.isArray(template)) {
+    return template.map(function(item) { return renderTemplate(item, data); });
+  }
+  if (template && typeof template === "object") {
+    var out = {};
+    for (var key in template) {
+      if (template.hasOwnProperty(key)) { out[key] = renderTemplate(template[key], data); }
+    }
+    return out;
+  }
+  return template;
+}
+
+function once(fn) {
+  var called = false;
+  return function() {
+    if (called) { return; }
+    called = true;
+    if (fn) { fn.apply(null, arguments); }
+  };
+}
+
+// HTTP(S) POST of the alert as JSON, or of `template` rendered with it
+function WebhookNotifier(opts) {
+  opts = opts || {};
+  if (!opts.url) { throw new Error("WebhookNotifier needs a url"); }
+  this.url       = opts.url;
+  this.method    = opts.method    || "POST";
+  this.headers   = opts.headers   || {};
+  this.template  = opts.template  || null;
+  this.timeoutMs = opts.timeoutMs || 5000;
+}
+
+WebhookNotifier.prototype.send = function(alert, callback) {
+  var done   = once(callback);
+  var target = new URL(this.url);
+  var body   = JSON.stringify(this.template ? renderTemplate(this.template, alert) : alert);
+  var client = (target.protocol === "https:") ? https : http;
+
+  var req = client.request(target, {
+    method:  this.method,
+    timeout: this.timeoutMs,
+    headers: extend({
+      "content-type":   "application/json",
+      "content-length": Buffer.byteLength(body)
+    }, this.headers)
+  }, function(res) {
+    res.resume();
+    res.on("error", done);   // receiver aborted mid-body
+    res.on("end", function() {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        done(null);
+      } else {
+        done(new Error("Webhook responded with HTTP " + res.statusCode));
+      }
+    });
+  });
+  req.on("timeout", function() { req.destroy(new Error("Webhook timed out")); });
+  req.on("error", done);
+  req.end(body);
+};
+
+// Plain SMTP client: implicit TLS (`secure`), STARTTLS when offered,
+// AUTH PLAIN when `auth` is set. Credentials only go over TLS unless
+// `allowInsecureAuth` is set.
+function SmtpNotifier(opts) {
+  opts = opts || {};
+  if (!opts.host || !opts.from || !opts.to) { throw new Error("SmtpNotifier needs host, from and to"); }
+  this.host      = opts.host;
+  this.port      = opts.port || (opts.secure ? 465 : 25);
+  this.secure    = !!opts.secure;
+  this.starttls  = (opts.starttls !== undefined) ? opts.starttls : true;
+  this.tls       = opts.tls || {};
+  this.auth      = opts.auth || null;
+  this.allowInsecureAuth = !!opts.allowInsecureAuth;
+  this.from      = opts.from;
+  this.to        = Array.isArray(opts.to) ? opts.to : [opts.to];
+  this.subject   = opts.subject || "[{state}] {rule}";
+  this.text      = opts.text    || null;
+  this.clientName = opts.clientName || os.hostname();
+  this.timeoutMs = opts.timeoutMs || 10000;
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value
+    : "=?UTF-8?B?" + Buffer.from(value, "utf8").toString("base64") + "?=";
+}
+
+SmtpNotifier.prototype._message = function(alert) {
+  var text = this.text ? interpolate(this.text, alert)
+    : (alert.message || alert.rule) + "\n\n" + JSON.stringify(alert, null, 2);
+  var body = text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  return [
+    "From: " + this.from,
+    "To: " + this.to.join(", "),
+    "Subject: " + encodeHeader(interpolate(this.subject, alert)),
+    "Date: " + new Date().toUTCString(),
+    "Message-ID: <" + crypto.randomBytes(12).toString("hex") + "@" + this.clientName + ">",
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body
+  ].join("\r\n");
+};
+
+SmtpNotifier.prototype.send = function(alert, callback) {
+  var self     = this;
+  var done     = once(callback);
+  var pending  = null;
+  var buffered = "";
+  var lines    = [];
+  var upgraded = self.secure;
+  var socket;
+
+  function fail(err) {
+    if (socket) { socket.destroy(); }
+    done(err);
+  }
+
+  function onData(chunk) {
+    buffered += chunk.toString("utf8");
+    var idx;
+    while ((idx = buffered.indexOf("\n")) !== -1) {
+      var line = buffered.slice(0, idx).replace(/\r$/, "");
+      buffered = buffered.slice(idx + 1);
+      lines.push(line);
+      if (/^\d{3}-/.test(line)) { continue; }   // multi-line reply continues
+
+      var code  = parseInt(line.slice(0, 3), 10);
+      var reply = lines;
+      var step  = pending;
+      lines   = [];
+      pending = null;
+      if (!step) { continue; }
+      if (step.codes.indexOf(code) === -1) {
+        fail(new Error("SMTP " + reply.join(" | ")));
+        return;
+      }
+      step.next(reply);
+    }
+  }
+
+  function bind(sock) {
+    socket = sock;
+    socket.setTimeout(self.timeoutMs, function() { fail(new Error("SMTP timed out")); });
+    socket.on("data", onData);
+    socket.on("error", fail);
+  }
+
+  function command(line, codes, next) {
+    pending = { codes: codes, next: next };
+    socket.write(line + "\r\n");
+  }
+
+  function ehlo() {
+    command("EHLO " + self.clientName, [250], function(reply) {
+      var offersTls = reply.some(function(l) { return /STARTTLS/i.test(l); });
+      if (!upgraded && self.starttls && offersTls) {
+        command("STARTTLS", [220], function() {
+          var raw = socket;
+          raw.removeListener("data", onData);
+          raw.removeAllListeners("error");
+          raw.setTimeout(0);
+          upgraded = true;
+          // `host` is only used to check the certificate here
+          bind(tls.connect(extend(withServername({ socket: raw, host: self.host }, self.host), self.tls), ehlo));
+        });
+        return;
+      }
+      authenticate();
+    });
+  }
+
+  // A server (or a man in the middle) that does not offer STARTTLS must
+  // not get the password in the clear
+  function authenticate() {
+    if (!self.auth) { mailFrom(); return; }
+    if (!upgraded && !self.allowInsecureAuth) {
+      fail(new Error("SMTP server did not offer STARTTLS; refusing to send credentials in plain text "
+        + "(set allowInsecureAuth to allow it)"));
+      return;
+    }
+    var token = Buffer.from("\u0000" + self.auth.user + "\u0000" + self.auth.pass, "utf8").toString("base64");
+    command("AUTH PLAIN " + token, [235], mailFrom);
+  }
+
+  function mailFrom() {
+    command("MAIL FROM:<" + self.from + ">", [250], function() { rcptTo(0); });
+  }
+
+  function rcptTo(i) {
+    if (i >= self.to.length) {
+      command("DATA", [354], function() {
+        command(self._message(alert) + "\r\n.", [250], function() {
+          command("QUIT", [221], function() {
+            socket.end();
+            done(null);
+          });
+        });
+      });
+      return;
+    }
+    command("RCPT TO:<" + self.to[i] + ">", [250, 251], function() { rcptTo(i + 1); });
+  }
+
+  pending = { codes: [220], next: ehlo };
+  var connectOpts = extend(withServername({ host: self.host, port: self.port }, self.host), self.secure ? self.tls : {});
+  bind(self.secure ? tls.connect(connectOpts) : net.connect(connectOpts));
+};
+
+// Runs a local command with the alert as JSON on stdin; non-zero exit fails
+function CommandNotifier(opts) {
+  opts = opts || {};
+  if (!opts.command) { throw new Error("CommandNotifier needs a command"); }
+  this.command   = opts.command;
+  this.args      = opts.args || [];
+  this.env       = opts.env  || process.env;
+  this.timeoutMs = opts.timeoutMs || 10000;
+}
+
+CommandNotifier.prototype.send = function(alert, callback) {
+  var done   = once(callback);
+  var stderr = "";
+  var child  = childProcess.spawn(this.command, this.args, {
+    env:   this.env,
+    stdio: ["pipe", "ignore", "pipe"]
+  });
+  var timer = setTimeout(function() {
+    child.kill("SIGKILL");
+    done(new Error("Command timed out"));
+  }, this.timeoutMs);
+
+  child.on("error", function(err) { clearTimeout(timer); done(err); });
+  child.stderr.on("data", function(chunk) {
+    if (stderr.length < 2048) { stderr += chunk.toString("utf8"); }
+  });
+  child.on("close", function(code) {
+    clearTimeout(timer);
+    if (code === 0) {
+      done(null);
+    } else {
+      done(new Error("Command exited with code " + code + (stderr ? ": " + stderr.trim() : "")));
+    }
+  });
+  child.stdin.on("error", function() { /* reported through "close" */ });
+  child.stdin.end(JSON.stringify(alert) + "\n");
+};
+
+// Appends one JSON line per alert
+function FileNotifier(opts) {
+  opts = opts || {};
+  if (!opts.path) { throw new Error("FileNotifier needs a path"); }
+  this.path = opts.path;
+  ensureDir(path.dirname(this.path));
+}
+
+FileNotifier.prototype.send = function(alert, callback) {
+  fs.appendFile(this.path, JSON.stringify(alert) + "\n", function(err) {
+    if (callback) { callback(err || null); }
+  });
+};
+
+// ─────────────────────────────────────────────
+//  QUERY ENGINE  (search in-memory ring buffer)
+// ─────────────────────────────────────────────
+
+function RingBuffer(capacity) {
+  this._capacity = capacity;
+  this._data     = [];
+  this._head     = 0;
+}
+
+RingBuffer.prototype.push = function(item) {
+  if (this._data.length < this._capacity) {
+    this._data.push(item);
+  } else {
+    this._data[this._head] = item;
+    this._head = (this._head + 1) % this._capacity;
+  }
+};
+
+RingBuffer.prototype.toArray = function() {
+  if (this._data.length < this._capacity) { return this._data.slice(); }
+  return this._data.slice(this._head).concat(this._data.slice(0, this._head));
+};
+
+//  Filter options (all optional, combined with AND):
+//    level      — minimum level name        levels  — exact level names
+//    context    — name, glob ("api:*") or array of either
+//    search     — substring of the message  ignoreCase — for `search`
+//    regex      — RegExp or pattern string matched against the message
+//    since/until — ISO string, Date or epoch ms
+//    where      — "meta.status >= 500", an array of such expressions, or
+//                 { "meta.ms": { gt: 200 }, "meta.method": "GET" }
+//    and / or   — arrays of nested filters;  not — a nested filter
+//  Result shaping (RingBuffer#query only):
+//    sort       — field path, "-" prefix for descending ("-meta.ms")
+//    groupBy    — field path or array of paths → [{ key, count }] by count
+//    count      — true to return the number of matches
+//    limit      — most recent N entries (first N when sorted or grouped)
+
+var WHERE_OPS = { "=": "eq", "==": "eq", "!=": "ne", ">": "gt", ">=": "gte", "<": "lt", "<=": "lte", "~": "match" };
+
+function getField(entry, fieldPath) {
+  var parts = fieldPath.split(".");
+  var value = entry;
+  for (var i = 0; i < parts.length; i++) {
+    if (value === null || value === undefined) { return undefined; }
+    value = value[parts[i]];
+  }
+  return value;
+}
+
+// Milliseconds since the epoch for a Date, a number or a timestamp string.
+// Entry timestamps may carry any UTC offset, so they are compared parsed.
+function toTime(value, option) {
+  var ms = (value instanceof Date) ? value.getTime() : (typeof value === "number" ? value : Date.parse(value));
+  if (isNaN(ms)) { throw new Error("Invalid " + (option || "time") + ": " + value); }
+  return ms;
+}
+
+function globToRegex(pattern) {
+  var escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp("^" + escaped + "$");
+}
+
+// Exact match for plain names, anchored glob for names containing "*"
+function contextMatcher(pattern) {
+  if (pattern.indexOf("*") === -1) {
+    return function(context) { return context === pattern; };
+  }
+  var re = globToRegex(pattern);
+  return function(context) { return re.test(context); };
+}
+
+function parseWhereValue(raw) {
+  var quoted = /^(["'])(.*)\1$/.exec(raw);
+  if (quoted) { return quoted[2]; }
+  var regex = /^\/(.*)\/([gimsuy]*)$/.exec(raw);
+  if (regex) { return new RegExp(regex[1], regex[2]); }
+  if (raw === "true")  { return true; }
+  if (raw === "false") { return false; }
+  if (raw === "null")  { return null; }
+  if (raw !== "" && !isNaN(Number(raw))) { return Number(raw); }
+  return raw;
+}
+
+function parseWhere(expr) {
+  var m = /^\s*([\w.$-]+)\s*(>=|<=|!=|==|=|>|<|~)\s*(.*?)\s*$/.exec(expr);
+  if (!m) { throw new Error("Invalid where expression: \"" + expr + "\""); }
+  var cond = {};
+  cond[WHERE_OPS[m[2]]] = parseWhereValue(m[3]);
+  return { field: m[1], cond: cond };
+}
+
+function compareValues(a, b) {
+  var na = (typeof a === "number") ? a : Number(a);
+  var nb = (typeof b === "number") ? b : Number(b);
+  if (a !== "" && b !== "" && !isNaN(na) && !isNaN(nb)) { return na - nb; }
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// A pattern string or a copy of a RegExp without the "g"/"y" flags, whose
+// lastIndex would otherwise carry over from one entry to the next
+function toRegex(pattern, ignoreCase) {
+  if (!(pattern instanceof RegExp)) { return new RegExp(pattern, ignoreCase ? "i" : ""); }
+  return new RegExp(pattern.source,
+    pattern.flags.replace(/[gy]/g, "") + (ignoreCase && !pattern.ignoreCase ? "i" : ""));
+}
+
+function compileCondition(field, cond) {
+  if (cond === null || typeof cond !== "object" || cond instanceof RegExp) {
+    cond = (cond instanceof RegExp) ? { match: cond } : { eq: cond };
+  }
+  var checks = [];
+  function add(fn) { checks.push(fn); }
+
+  if (cond.hasOwnProperty("eq"))  { add(function(v) { return v !== undefined && compareValues(v, cond.eq) === 0; }); }
+  if (cond.hasOwnProperty("ne"))  { add(function(v) { return v === undefined || compareValues(v, cond.ne) !== 0; }); }
+  if (cond.hasOwnProperty("gt"))  { add(function(v) { return v !== undefined && v !== null && compareValues(v, cond.gt)  > 0; }); }
+  if (cond.hasOwnProperty("gte")) { add(function(v) { return v !== undefined && v !== null && compareValues(v, cond.gte) >= 0; }); }
+  if (cond.hasOwnProperty("lt"))  { add(function(v) { return v !== undefined && v !== null && compareValues(v, cond.lt)  < 0; }); }
+  if (cond.hasOwnProperty("lte")) { add(function(v) { return v !== undefined && v !== null && compareValues(v, cond.lte) <= 0; }); }
+  if (cond.hasOwnProperty("exists")) {
+    add(function(v) { return (v !== undefined) === !!cond.exists; });
+  }
+  if (cond.hasOwnProperty("in")) {
+    add(function(v) {
+      for (var i = 0; i < cond["in"].length; i++) {
+        if (v !== undefined && compareValues(v, cond["in"][i]) === 0) { return true; }
+      }
+      return false;
+    });
+  }
+  if (cond.hasOwnProperty("match")) {
+    var re = toRegex(cond.match, false);
+    add(function(v) { return v !== undefined && v !== null && re.test(String(v)); });
+  }
+
+  return function(entry) {
+    var value = getField(entry, field);
+    for (var i = 0; i < checks.length; i++) {
+      if (!checks[i](value)) { return false; }
+    }
+    return true;
+  };
+}
+
+function compileWhere(where) {
+  var tests = [];
+  var list  = Array.isArray(where) ? where : [where];
+  for (var i = 0; i < list.length; i++) {
+    if (typeof list[i] === "string") {
+      var parsed = parseWhere(list[i]);
+      tests.push(compileCondition(parsed.field, parsed.cond));
+    } else {
+      for (var field in list[i]) {
+        if (list[i].hasOwnProperty(field)) { tests.push(compileCondition(field, list[i][field])); }
+      }
+    }
+  }
+  return tests;
+}
+
+// Turns filter options into a predicate function(entry) → boolean
+function compileQuery(opts) {
+  opts = opts || {};
+  var tests = [];
+  var i;
+
+  if (opts.level) {
+    var minLevel = resolveLevel(opts.level, 0);
+    tests.push(function(e) {
+      return (LOG_LEVELS.hasOwnProperty(e.level) ? LOG_LEVELS[e.level] : e.levelCode) >= minLevel;
+    });
+  }
+  if (opts.levels) {
+    var levels = opts.levels.map(function(l) { return String(l).toUpperCase(); });
+    tests.push(function(e) { return levels.indexOf(e.level) !== -1; });
+  }
+  if (opts.context) {
+    var contexts = (Array.isArray(opts.context) ? opts.context : [opts.context]).map(contextMatcher);
+    tests.push(function(e) {
+      for (var c = 0; c < contexts.length; c++) {
+        if (contexts[c](e.context)) { return true; }
+      }
+      return false;
+    });
+  }
+  if (opts.search) {
+    var needle = opts.ignoreCase ? opts.search.toLowerCase() : opts.search;
+    tests.push(function(e) {
+      var msg = opts.ignoreCase ? e.message.toLowerCase() : e.message;
+      return msg.indexOf(needle) !== -1;
+    });
+  }
+  if (opts.regex) {
+    var re = toRegex(opts.regex, opts.ignoreCase);
+    tests.push(function(e) { return re.test(e.message); });
+  }
+  if (opts.since) {
+    var since = toTime(opts.since, "since");
+    tests.push(function(e) { return Date.parse(e.timestamp) >= since; });
+  }
+  if (opts.until) {
+    var until = toTime(opts.until, "until");
+    tests.push(function(e) { return Date.parse(e.timestamp) <= until; });
+  }
+  if (opts.where) {
+    tests = tests.concat(compileWhere(opts.where));
+  }
+  if (opts.and) {
+    for (i = 0; i < opts.and.length; i++) { tests.push(compileQuery(opts.and[i])); }
+  }
+  if (opts.or) {
+    var alternatives = opts.or.map(compileQuery);
+    tests.push(function(e) {
+      for (var a = 0; a < alternatives.length; a++) {
+        if (alternatives[a](e)) { return true; }
+      }
+      return false;
+    });
+  }
+  if (opts.not) {
+    var negated = compileQuery(opts.not);
+    tests.push(function(e) { return !negated(e); });
+  }
+
+  return function(entry) {
+    for (var t = 0; t < tests.length; t++) {
+      if (!tests[t](entry)) { return false; }
+    }
+    return true;
+  };
+}
+
+function sortEntries(entries, sortSpec) {
+  var desc  = sortSpec.charAt(0) === "-";
+  var field = desc ? sortSpec.slice(1) : sortSpec;
+  return entries.sort(function(a, b) {
+    var va = (field === "timestamp") ? Date.parse(a.timestamp) : getField(a, field);
+    var vb = (field === "timestamp") ? Date.parse(b.timestamp) : getField(b, field);
+    if (va === undefined && vb === undefined) { return 0; }
+    if (va === undefined) { return 1; }
+    if (vb === undefined) { return -1; }
+    var cmp = compareValues(va, vb);
+    return desc ? -cmp : cmp;
+  });
+}
+
+function groupEntries(entries, groupBy) {
+  var fields = Array.isArray(groupBy) ? groupBy : [groupBy];
+  var groups = {};
+  var order  = [];
+
+  for (var i = 0; i < entries.length; i++) {
+    var key = {};
+    for (var f = 0; f < fields.length; f++) {
+      var value = getField(entries[i], fields[f]);
+      key[fields[f]] = (value === undefined) ? null : value;
+    }
+    var id = JSON.stringify(key);
+    if (!groups[id]) {
+      groups[id] = { key: key, count: 0 };
+      order.push(groups[id]);
+    }
+    groups[id].count++;
+  }
+  return order.sort(function(a, b) { return b.count - a.count; });
+}
+
+RingBuffer.prototype.query = function(opts) {
+  var all     = this.toArray();
+  var match   = compileQuery(opts);
+  var results = [];
+
+  for (var i = 0; i < all.length; i++) {
+    if (match(all[i])) { results.push(all[i]); }
+  }
+
+  if (opts.groupBy) {
+    results = groupEntries(results, opts.groupBy);
+    return opts.limit ? results.slice(0, opts.limit) : results;
+  }
+  if (opts.count) { return results.length; }
+  if (opts.sort) {
+    results = sortEntries(results, opts.sort);
+    return opts.limit ? results.slice(0, opts.limit) : results;
+  }
+
+  if (opts.limit && results.length > opts.limit) {
+    results = results.slice(results.length - opts.limit);
+  }
+  return results;
+};
+
+// ─────────────────────────────────────────────
+//  HISTORY QUERY  (stream rotated JSON log files)
+// ─────────────────────────────────────────────
+//
+//  Async iterator over the NDJSON entries of a log file and its rotated
+//  (optionally gzipped) copies, oldest file first. Takes the same filter
+//  options as RingBuffer#query (not sort/groupBy/count); `limit` stops
+//  after that many matches.
+//  Lines are read one at a time, so memory use does not depend on file size.
+
+var HISTORY_HIGH_WATER = 256;   // queued matches before the reader pauses
+
+function LogFileQuery(filePath, opts, beforeStart) {
+  this._filePath    = filePath;
+  this._files       = [];
+  this._opts        = opts;
+  this._match       = compileQuery(opts);
+  this._beforeStart = beforeStart || null;
+  this._started     = false;
+  this._index       = -1;
+  this._queue       = [];
+  this._waiting     = null;
+  this._stream      = null;   // the fs.ReadStream under _input
+  this._input       = null;   // _stream, or the gunzip stream it pipes into
+  this._rl          = null;
+  this._matched     = 0;
+  this._done        = false;
+  this._error       = null;
+}
+
+LogFileQuery.prototype[Symbol.asyncIterator] = function() {
+  return this;
+};
+
+LogFileQuery.prototype.next = function() {
+  var self = this;
+  if (self._queue.length > 0) {
+    var value = self._queue.shift();
+    if (self._rl && self._queue.length < HISTORY_HIGH_WATER / 2) { self._rl.resume(); }
+    return Promise.resolve({ value: value, done: false });
+  }
+  if (self._error) { return Promise.reject(self._error); }
+  if (self._done)  { return Promise.resolve({ value: undefined, done: true }); }
+
+  return new Promise(function(resolve, reject) {
+    self._waiting = { resolve: resolve, reject: reject };
+    if (!self._started) {
+      self._started = true;
+      var start = function() {
+        self._files = historyFiles(self._filePath, self._opts);
+        self._openNext();
+      };
+      if (self._beforeStart) { self._beforeStart(start); } else { start(); }
+    } else if (self._rl) {
+      self._rl.resume();
+    }
+  });
+};
+
+LogFileQuery.prototype.return = function() {
+  this._finish();
+  this._queue = [];
+  return Promise.resolve({ value: undefined, done: true });
+};
+
+LogFileQuery.prototype._openNext = function() {
+  var self = this;
+  if (self._done) { return; }
+  self._index++;
+  if (self._index >= self._files.length) {
+    self._finish();
+    return;
+  }
+
+  var file   = self._files[self._index];
+  var stream = fs.createReadStream(file);
+  var input  = stream;
+  stream.on("error", function(err) {
+    if (self._stream !== stream) { return; }   // already finished with
+    // Rotated or compressed since the file list was taken
+    if (err.code !== "ENOENT") { self._fail(err); return; }
+    if (!/\.gz$/.test(file) && fs.existsSync(file + ".gz")) {
+      self._files[self._index] = file + ".gz";
+      self._index--;
+    }
+    if (self._rl) {
+      self._rl.removeAllListeners("close");
+      self._rl.close();
+      self._rl = null;
+    }
+    self._stream = null;
+    self._input  = null;
+    self._openNext();
+  });
+  if (/\.gz$/.test(file)) {
+    var gunzip = zlib.createGunzip();
+    gunzip.on("error", function(err) { self._fail(err); });
+    input = input.pipe(gunzip);
+  }
+
+  self._stream = stream;
+  self._input  = input;
+  self._rl     = readline.createInterface({ input: input, crlfDelay: Infinity });
+  self._rl.on("line", function(line) { self._onLine(line); });
+  self._rl.on("close", function() {
+    self._rl     = null;
+    self._stream = null;
+    self._input  = null;
+    self._openNext();
+  });
+};
+
+LogFileQuery.prototype._onLine = function(line) {
+  if (this._done || !line) { return; }
+  var entry;
+  try { entry = JSON.parse(line); } catch (e) { return; }
+  if (!entry || typeof entry.message !== "string" || !this._match(entry)) { return; }
+
+  this._matched++;
+  this._push(entry);
+  if (this._opts.limit && this._matched >= this._opts.limit) { this._finish(); }
+};
+
+LogFileQuery.prototype._push = function(entry) {
+  if (this._waiting) {
+    var waiting = this._waiting;
+    this._waiting = null;
+    waiting.resolve({ value: entry, done: false });
+    return;
+  }
+  this._queue.push(entry);
+  if (this._rl && this._queue.length >= HISTORY_HIGH_WATER) { this._rl.pause(); }
+};
+
+LogFileQuery.prototype._finish = function() {
+  if (this._done) { return; }
+  this._done = true;
+  if (this._rl) {
+    this._rl.removeAllListeners("close");
+    this._rl.close();
+    this._rl = null;
+  }
+  // Destroying the gunzip stream does not close the file it reads from
+  if (this._input) {
+    this._input.destroy();
+    this._input = null;
+  }
+  if (this._stream) {
+    this._stream.destroy();
+    this._stream = null;
+  }
+  if (this._waiting && this._queue.length === 0) {
+    var waiting = this._waiting;
+    this._waiting = null;
+    waiting.resolve({ value: undefined, done: true });
+  }
+};
+
+LogFileQuery.prototype._fail = function(err) {
+  if (this._done) { return; }
+  var waiting = this._waiting;
+  this._waiting = null;
+  this._finish();
+  if (waiting) {
+    waiting.reject(err);
+  } else {
+    this._error = err;
+  }
+};
+
+// Rotated copies oldest first, then the live file. With `since`, files last
+// written before that time cannot contain matches and are skipped.
+function historyFiles(filePath, opts) {
+  var archives = listArchives(filePath).reverse();
+  var files    = [];
+
+  for (var i = 0; i < archives.length; i++) {
+    // A .gz next to its source is still being written by the compressor
+    if (/\.gz$/.test(archives[i].path) && fs.existsSync(archives[i].path.slice(0, -3))) { continue; }
+    if (opts.since && archives[i].mtime < toTime(opts.since, "since")) { continue; }
+    files.push(archives[i].path);
+  }
+  if (fs.existsSync(filePath)) { files.push(filePath); }
+  return files;
+}
+
+function queryLogFiles(filePath, opts, beforeStart) {
+  return new LogFileQuery(filePath, opts || {}, beforeStart);
+}
+
+// ─────────────────────────────────────────────
+//  LIVE SUBSCRIPTIONS
+// ─────────────────────────────────────────────
+//
+//  An object-mode Readable of new entries matching the query filters (not
+//  sort/groupBy/count/limit); being a Readable it is also an async iterator.
+//  Entries wait in a queue of at most `maxQueue` while the reader is slow;
+//  when it is full the oldest is dropped and counted in `dropped`. Once the
+//  reader catches up, "drop" is emitted with the number lost in that gap.
+//  close() ends the stream after the queued entries; destroy() at once.
+
+// opts: { replay (true or N: matching ring-buffer entries first),
+//         maxQueue (1000), highWaterMark (16) }
+function Subscription(logger, filter, opts) {
+  opts = opts || {};
+  stream.Readable.call(this, { objectMode: true, highWaterMark: opts.highWaterMark || 16 });
+  filter = filter || {};
+
+  this.dropped   = 0;
+  this._logger   = logger;
+  this._match    = compileQuery(filter);
+  this._maxQueue = opts.maxQueue || 1000;
+  this._queue    = [];
+  this._gap      = 0;
+  this._wanted   = false;
+  this._closed   = false;
+  this._onLog    = this._offer.bind(this);
+
+  // History is capped at the queue size so a replay never counts as dropped
+  if (opts.replay) {
+    var limit = Math.min(opts.replay === true ? this._maxQueue : opts.replay, this._maxQueue);
+    this._queue = logger._ring.query(extend({}, filter, { sort: null, groupBy: null, count: false, limit: limit }));
+  }
+  logger.on("log", this._onLog);
+}
+
+util.inherits(Subscription, stream.Readable);
+
+Subscription.prototype._offer = function(entry) {
+  if (!this._match(entry)) { return; }
+  if (this._wanted && this._queue.length === 0) {
+    this._wanted = this.push(entry);
+    return;
+  }
+  if (this._queue.length >= this._maxQueue) {
+    this._queue.shift();
+    this.dropped++;
+    this._gap++;
+  }
+  this._queue.push(entry);
+};
+
+Subscription.prototype._read = function() {
+  if (this._gap > 0) {
+    var gap = this._gap;
+    this._gap = 0;
+    this.emit("drop", gap);
+  }
+  this._wanted = true;
+  while (this._wanted && this._queue.length > 0) {
+    this._wanted = this.push(this._queue.shift());
+  }
+  if (this._closed && this._queue.length === 0) { this.push(null); }
+};
+
+// Stops listening; the stream ends once the queued entries are read
+Subscription.prototype.close = function() {
+  if (this._closed) { return; }
+  this._closed = true;
+  this._logger.removeListener("log", this._onLog);
+  if (this._wanted && this._queue.length === 0) { this.push(null); }
+};
+
+Subscription.prototype._destroy = function(err, callback) {
+  this._closed = true;
+  this._queue  = [];
+  this._logger.removeListener("log", this._onLog);
+  callback(err);
+};
+
+// ─────────────────────────────────────────────
+//  SUPPRESSION  (sampling, rate limits, dedupe)
+// ─────────────────────────────────────────────
+//
+//  Checked in Logger#_write before an entry reaches the ring buffer, alerts
+//  or transports. Rules match with the same filters as Logger#query; the
+//  first matching rule of each kind applies. FATAL entries are never
+//  suppressed. Suppressed entries are counted in MetricsCollector.
+
+var SUPPRESSOR_MAX_KEYS = 10000;
+
+// Map with a size cap; evicts the oldest key first
+function boundedSet(map, key, value, onEvict) {
+  if (!map.has(key) && map.size >= SUPPRESSOR_MAX_KEYS) {
+    var oldest = map.keys().next().value;
+    if (onEvict) { onEvict(map.get(oldest)); }
+    map.delete(oldest);
+  }
+  map.set(key, value);
+}
+
+function formatSeconds(ms) {
+  return (ms < 1000) ? ms + "ms" : (Math.round(ms / 100) / 10) + "s";
+}
+
+// opts: { sampling: [rules], rateLimit: [rules], dedupe: true | { windowMs, ...filters } }
+// onSummary(entry) receives the "repeated N times" entry for a collapsed run
+function Suppressor(opts, metrics, onSummary) {
+  opts = opts || {};
+  this._metrics   = metrics;
+  this._onSummary = onSummary;
+  this._timeFormat = opts.timestamp || null;
+
+  this._sampling = (opts.sampling || []).map(function(rule) {
+    return { match: compileQuery(rule), rate: (rule.rate !== undefined) ? rule.rate : 1 };
+  });
+
+  this._limits = (opts.rateLimit || []).map(function(rule) {
+    if (!(rule.perSecond > 0)) { throw new Error("Rate limit rules need perSecond > 0"); }
+    return {
+      match:     compileQuery(rule),
+      perSecond: rule.perSecond,
+      burst:     rule.burst || rule.perSecond,
+      by:        rule.by ? [].concat(rule.by) : null,
+      buckets:   new Map()
+    };
+  });
+
+  var dedupe = (opts.dedupe === true) ? {} : opts.dedupe;
+  this._dedupe = !dedupe ? null : {
+    match:    compileQuery(dedupe),
+    windowMs: dedupe.windowMs || 10000,
+    runs:     new Map()
+  };
+}
+
+// Returns the reason the entry is suppressed, or null to let it through
+Suppressor.prototype.check = function(entry, now) {
+  if (entry.levelCode >= LOG_LEVELS.FATAL) { return null; }
+  now = now || Date.now();
+
+  // Dedupe last, so a run only opens for and counts entries that got past
+  // sampling and rate limits
+  var reason = this._checkSampling(entry)
+    || this._checkRateLimit(entry, now)
+    || this._checkDedupe(entry, now);
+  if (reason) { this._metrics.recordSuppressed(reason, entry.level); }
+  return reason;
+};
+
+Suppressor.prototype._checkDedupe = function(entry, now) {
+  var d = this._dedupe;
+  if (!d || !d.match(entry)) { return null; }
+
+  var key = entry.level + "\u0000" + entry.context + "\u0000" + entry.message;
+  var run = d.runs.get(key);
+  if (run && now - run.firstSeen < d.windowMs) {
+    run.count++;
+    run.lastSeen = now;
+    return "deduplicated";
+  }
+  if (run) { this._summarize(run); }
+  boundedSet(d.runs, key, { entry: entry, firstSeen: now, lastSeen: now, count: 0 },
+    this._summarize.bind(this));
+  return null;
+};
+
+Suppressor.prototype._checkSampling = function(entry) {
+  for (var i = 0; i < this._sampling.length; i++) {
+    if (this._sampling[i].match(entry)) {
+      return (Math.random() < this._sampling[i].rate) ? null : "sampled";
+    }
+  }
+  return null;
+};
+
+// Token bucket: refills perSecond tokens per second up to burst
+Suppressor.prototype._checkRateLimit = function(entry, now) {
+  for (var i = 0; i < this._limits.length; i++) {
+    var rule = this._limits[i];
+    if (!rule.match(entry)) { continue; }
+
+    var key = rule.by ? rule.by.map(function(field) { return String(getField(entry, field)); }).join("\u0000") : "";
+    var bucket = rule.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: rule.burst, updated: now };
+      boundedSet(rule.buckets, key, bucket);
+    }
+    bucket.tokens  = Math.min(rule.burst, bucket.tokens + (now - bucket.updated) * rule.perSecond / 1000);
+    bucket.updated = now;
+    if (bucket.tokens < 1) { return "rateLimited"; }
+    bucket.tokens -= 1;
+    return null;
+  }
+  return null;
+};
+
+Suppressor.prototype._summarize = function(run) {
+  if (run.count === 0) { return; }
+  var src = run.entry;
+  var entry = buildEntry(src.levelCode, src.level,
+    src.message + " (repeated " + run.count + (run.count === 1 ? " time" : " times") + " in " + formatSeconds(run.lastSeen - run.firstSeen) + ")",
+    { repeated: run.count, firstSeen: formatTimestamp(new Date(run.firstSeen), this._timeFormat),
+      lastSeen: formatTimestamp(new Date(run.lastSeen), this._timeFormat) },
+    src.context, this._timeFormat);
+  run.count = 0;
+  this._onSummary(entry);
+};
+
+// Ends dedupe runs whose window has passed, emitting their summaries
+Suppressor.prototype.sweep = function(now) {
+  var d = this._dedupe;
+  if (!d) { return; }
+  now = now || Date.now();
+  var self = this;
+  d.runs.forEach(function(run, key) {
+    if (now - run.firstSeen >= d.windowMs) {
+      d.runs.delete(key);
+      self._summarize(run);
+    }
+  });
+};
+
+// ─────────────────────────────────────────────
+//  REQUEST CONTEXT
+// ─────────────────────────────────────────────
+//
+//  Fields set with runWithContext() follow the async call chain and are
+//  merged into the meta of every entry logged inside it. Call meta wins
+//  over context fields.
+
+var contextStorage = new AsyncLocalStorage();
+
+// A synchronous throw that escapes run() has already left the context by
+// the time "uncaughtException" fires, so remember which context it came from
+var errorContexts = new WeakMap();
+
+function getContext() {
+  return contextStorage.getStore() || null;
+}
+
+// Nested calls extend the enclosing context
+function runWithContext(fields, fn) {
+  var store = extend({}, getContext(), fields);
+  try {
+    return contextStorage.run(store, fn);
+  } catch (err) {
+    if (err && typeof err === "object" && !errorContexts.has(err)) { errorContexts.set(err, store); }
+    throw err;
+  }
+}
+
+function mergeContext(store, meta) {
+  if (meta === undefined || meta === null) { return extend({}, store); }
+  if (isPlainObject(meta)) { return extend({}, store, meta); }
+  return extend({}, store, { value: meta });
+}
+
+// ─────────────────────────────────────────────
+//  TRACING
+// ─────────────────────────────────────────────
+//
+//  Spans with W3C trace/span IDs. Entries logged while a span is active
+//  (see Logger#withSpan) carry top-level `traceId` and `spanId`. Finished
+//  spans are batched into OTLP-JSON requests for the span exporters.
+
+var spanStorage = new AsyncLocalStorage();
+
+var SPAN_KINDS    = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+var SPAN_STATUS   = { UNSET: 0, OK: 1, ERROR: 2 };
+var SPAN_BATCH_SIZE = 512;
+
+// Wall-clock nanoseconds with hrtime resolution, as a decimal string
+var HR_ORIGIN_NS = BigInt(Date.now()) * BigInt(1000000) - process.hrtime.bigint();
+function nowNanos() {
+  return (HR_ORIGIN_NS + process.hrtime.bigint()).toString();
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+// "00-<traceId>-<spanId>-<flags>" → { traceId, spanId } or null
+function parseTraceparent(header) {
+  var m = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/.exec(String(header || "").trim().toLowerCase());
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) { return null; }
+  return { traceId: m[1], spanId: m[2] };
+}
+
+// opts: { attributes, kind, parent (Span | { traceId, spanId }), traceparent, root }
+function Span(logger, name, opts) {
+  opts = opts || {};
+  var parent = opts.parent
+    || (opts.traceparent ? parseTraceparent(opts.traceparent) : null)
+    || (opts.root ? null : spanStorage.getStore());
+  var kind = String(opts.kind || "INTERNAL").toUpperCase();
+
+  this.name         = name;
+  this.kind         = SPAN_KINDS.hasOwnProperty(kind) ? kind : "INTERNAL";
+  this.traceId      = parent ? parent.traceId : randomHex(16);
+  this.spanId       = randomHex(8);
+  this.parentSpanId = parent ? parent.spanId : null;
+  this.startTime    = nowNanos();
+  this.endTime      = null;
+  this.attributes   = extend({}, opts.attributes);
+  this.events       = [];
+  this.status       = { code: "UNSET", message: "" };
+  this._logger      = logger;
+}
+
+Span.prototype.setAttribute = function(key, value) {
+  if (!this.endTime) { this.attributes[key] = value; }
+  return this;
+};
+
+Span.prototype.setAttributes = function(attrs) {
+  if (!this.endTime) { extend(this.attributes, attrs); }
+  return this;
+};
+
+Span.prototype.addEvent = function(name, attrs) {
+  if (!this.endTime) { this.events.push({ name: name, time: nowNanos(), attributes: extend({}, attrs) }); }
+  return this;
+};
+
+// code: "OK" | "ERROR" | "UNSET"
+Span.prototype.setStatus = function(code, message) {
+  code = String(code).toUpperCase();
+  if (!this.endTime && SPAN_STATUS.hasOwnProperty(code)) {
+    this.status = { code: code, message: message || "" };
+  }
+  return this;
+};
+
+Span.prototype.recordException = function(err) {
+  var isError = err instanceof Error;
+  this.addEvent("exception", {
+    "exception.type":       isError ? err.name : typeof err,
+    "exception.message":    isError ? err.message : String(err),
+    "exception.stacktrace": isError ? err.stack : undefined
+  });
+  return this.setStatus("ERROR", isError ? err.message : String(err));
+};
+
+Span.prototype.durationMs = function() {
+  var end = this.endTime ? BigInt(this.endTime) : BigInt(nowNanos());
+  return Number(end - BigInt(this.startTime)) / 1e6;
+};
+
+// W3C header for propagating this span to a downstream service
+Span.prototype.traceparent = function() {
+  return "00-" + this.traceId + "-" + this.spanId + "-01";
+};
+
+// Ending twice is a no-op
+Span.prototype.end = function() {
+  if (this.endTime) { return; }
+  this.endTime = nowNanos();
+  this._logger._endSpan(this);
+};
+
+Span.prototype.toJSON = function() {
+  return {
+    traceId: this.traceId, spanId: this.spanId, parentSpanId: this.parentSpanId,
+    name: this.name, kind: this.kind, startTime: this.startTime, endTime: this.endTime,
+    durationMs: roundStat(this.durationMs()), attributes: this.attributes,
+    events: this.events, status: this.status
+  };
+};
+
+function getActiveSpan() {
+  return spanStorage.getStore() || null;
+}
+
+// ── OTLP-JSON encoding ────────────────────────
+function otlpValue(value) {
+  if (typeof value === "boolean") { return { boolValue: value }; }
+  if (typeof value === "number") {
+    return (Number.isInteger(value)) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === "bigint") { return { intValue: value.toString() }; }
+  if (Array.isArray(value)) { return { arrayValue: { values: value.map(otlpValue) } }; }
+  if (value && typeof value === "object") { return { kvlistValue: { values: otlpAttributes(value) } }; }
+  return { stringValue: String(value) };
+}
+
+function otlpAttributes(attrs) {
+  var out = [];
+  for (var key in attrs) {
+    if (attrs.hasOwnProperty(key) && attrs[key] !== undefined && attrs[key] !== null) {
+      out.push({ key: key, value: otlpValue(attrs[key]) });
+    }
+  }
+  return out;
+}
+
+function spanToOtlp(span) {
+  var out = {
+    traceId:           span.traceId,
+    spanId:            span.spanId,
+    name:              span.name,
+    kind:              SPAN_KINDS[span.kind],
+    startTimeUnixNano: span.startTime,
+    endTimeUnixNano:   span.endTime,
+    attributes:        otlpAttributes(span.attributes),
+    events:            span.events.map(function(ev) {
+      return { timeUnixNano: ev.time, name: ev.name, attributes: otlpAttributes(ev.attributes) };
+    }),
+    status:            { code: SPAN_STATUS[span.status.code] }
+  };
+  if (span.parentSpanId)   { out.parentSpanId = span.parentSpanId; }
+  if (span.status.message) { out.status.message = span.status.message; }
+  return out;
+}
+
+// One ExportTraceServiceRequest for a batch of finished spans
+function toOtlpRequest(spans, resource) {
+  return {
+    resourceSpans: [{
+      resource:   { attributes: otlpAttributes(resource) },
+      scopeSpans: [{
+        scope: { name: "advanced-logging-monitoring", version: "1.0.0" },
+        spans: spans.map(spanToOtlp)
+      }]
+    }]
+  };
+}
+
+// ── Span exporters: export(request, callback) ──
+// Appends one OTLP-JSON request per line, as the collector file exporter does
+function OtlpFileExporter(opts) {
+  opts = opts || {};
+  if (!opts.path) { throw new Error("OtlpFileExporter needs a path"); }
+  this.path = opts.path;
+  ensureDir(path.dirname(this.path));
+}
+
+OtlpFileExporter.prototype.export = function(request, callback) {
+  fs.appendFile(this.path, JSON.stringify(request) + "\n", function(err) {
+    if (callback) { callback(err || null); }
+  });
+};
+
+// POSTs to an OTLP/HTTP JSON endpoint, e.g. http://localhost:4318/v1/traces
+function OtlpHttpExporter(opts) {
+  opts = opts || {};
+  this._webhook = new WebhookNotifier({
+    url:       opts.url || "http://localhost:4318/v1/traces",
+    headers:   opts.headers,
+    timeoutMs: opts.timeoutMs || 10000
+  });
+}
+
+OtlpHttpExporter.prototype.export = function(request, callback) {
+  this._webhook.send(request, callback);
+};
+
+// ─────────────────────────────────────────────
+//  CLUSTER / WORKER THREADS
+// ─────────────────────────────────────────────
+//
+//  A logger created with `cluster: "worker"` writes no files. Its entries,
+//  timer samples, suppression counts and ended spans are batched once per
+//  tick and posted to the primary: over IPC in cluster workers and forked
+//  children, over parentPort (or `workerPort`) in worker_threads. Every
+//  `workerSnapshotMs` it also sends its metrics snapshot.
+//
+//  The `cluster: "primary"` logger owns files, rotation, alerts and span
+//  exporters. It attaches cluster workers as they fork; threads and forked
+//  children are attached with logger.attachWorker(worker). Forwarded entries
+//  carry `workerId` and go through the primary's normal dispatch path.
+
+var WORKER_MESSAGE = "__logger";
+
+// "auto" picks "worker" inside a cluster worker or worker thread
+function resolveClusterMode(mode) {
+  if (mode === "auto" || mode === true) {
+    return (cluster.isWorker || !workerThreads.isMainThread) ? "worker" : "primary";
+  }
+  if (mode === "worker" || mode === "primary") { return mode; }
+  if (mode) { throw new Error("cluster must be \"worker\", \"primary\" or \"auto\", got \"" + mode + "\""); }
+  return null;
+}
+
+// Returns send(message, callback(err, sent)) for the channel to the primary
+function primaryChannel(port) {
+  if (!port && !workerThreads.isMainThread) { port = workerThreads.parentPort; }
+  if (port) {
+    return function(message, callback) {
+      try {
+        port.postMessage(message);
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null);
+    };
+  }
+  if (typeof process.send === "function") {
+    return function(message, callback) {
+      if (!process.connected) { return callback(null, false); }   // disconnected on purpose
+      process.send(message, callback);
+    };
+  }
+  throw new Error("cluster: \"worker\" needs an IPC channel or a worker_threads port");
+}
+
+// Worker side. Also a transport (named "primary") so entries reach it
+// through the usual dispatch loop.
+function WorkerForwarder(opts) {
+  opts = opts || {};
+  this.name   = "primary";
+  this._send  = primaryChannel(opts.port);
+  this._batch = null;
+  this._failing = false;
+  this.stats  = { batches: 0, entries: 0, dropped: 0 };
+}
+
+WorkerForwarder.prototype.log = function(entry) {
+  this.push("entries", entry);
+};
+
+// kind: "entries" | "timings" | "suppressed" | "spans"
+WorkerForwarder.prototype.push = function(kind, item) {
+  if (!this._batch) {
+    this._batch = { entries: [], timings: [], suppressed: [], spans: [] };
+    setImmediate(this.flush.bind(this));
+  }
+  this._batch[kind].push(item);
+};
+
+WorkerForwarder.prototype.flush = function(callback) {
+  var batch = this._batch;
+  this._batch = null;
+  if (!batch) {
+    if (callback) { callback(); }
+    return;
+  }
+  batch[WORKER_MESSAGE] = "batch";
+  var self = this;
+  this._post(batch, function(err, sent) {
+    if (err || sent === false) {
+      self.stats.dropped += batch.entries.length;
+    } else {
+      self.stats.batches++;
+      self.stats.entries += batch.entries.length;
+    }
+    if (callback) { callback(); }
+  });
+};
+
+// Posting is already synchronous for threads; IPC is as good as it gets
+WorkerForwarder.prototype.flushSync = function() {
+  this.flush();
+};
+
+WorkerForwarder.prototype.sendSnapshot = function(snapshot) {
+  var message = { snapshot: snapshot };
+  message[WORKER_MESSAGE] = "snapshot";
+  this._post(message, function() {});
+};
+
+// Reports the first failure of a run instead of one line per batch
+WorkerForwarder.prototype._post = function(message, callback) {
+  var self = this;
+  this._send(message, function(err, sent) {
+    if (err && !self._failing) {
+      process.stderr.write("[Logger] Forwarding to primary failed: " + err.message + "\n");
+    }
+    self._failing = !!err;
+    callback(err, sent);
+  });
+};
+
+// Primary side: what the snapshot shows about each attached worker
+function WorkerInfo(id, pid) {
+  this.id         = id;
+  this.pid        = pid;
+  this.attachedAt = Date.now();
+  this.lastSeen   = null;
+  this.snapshot   = null;
+}
+
+WorkerInfo.prototype.toJSON = function() {
+  return extend({ id: this.id }, this.snapshot, {
+    pid:        this.pid,
+    lastSeenMs: this.lastSeen === null ? null : Date.now() - this.lastSeen
+  });
+};
+
+// ─────────────────────────────────────────────
+//  MONITOR SERVER  (opt-in HTTP endpoint)
+// ─────────────────────────────────────────────
+//
+//  Read-only routes over one logger, served with the http module on a TCP
+//  port or a unix socket (`path`):
+//    GET /health        readiness: 200 when every check passes, else 503
+//    GET /health/live   liveness: 200 while the process answers
+//    GET /metrics       snapshot JSON; Prometheus text for ?format=prometheus
+//                       or an Accept header asking for text/plain, OpenMetrics
+//                       for ?format=openmetrics or application/openmetrics-text
+//    GET /logs          ring buffer query, parameters as in Logger#query
+//    GET /alerts        alert rule states and channel stats
+//    GET /logs/stream   server-sent events of new entries, same filters;
+//                       ?replay=N first sends recent matching entries
+//  Every request needs `Authorization: Bearer <token>` or ?token=<token>.
+//  Without a token only a unix socket is allowed; it is then created with
+//  mode 0600 so file permissions guard it instead.
+
+var MONITOR_ROUTES = ["/health", "/health/live", "/metrics", "/logs", "/alerts", "/logs/stream"];
+
+// "10m" → ten minutes ago; epoch ms and timestamps pass through
+function parseSince(value) {
+  var m = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/.exec(value);
+  if (m) { return Date.now() - Number(m[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2]]; }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// URLSearchParams → Logger#query options. Lists take commas or repeats.
+function queryFromParams(params) {
+  var opts = {};
+  function list(name) {
+    var values = [];
+    params.getAll(name).forEach(function(v) { values = values.concat(v.split(",")); });
+    return values.filter(function(v) { return v !== ""; });
+  }
+  function flag(name) {
+    return /^(1|true|yes|on|)$/i.test(params.get(name));
+  }
+
+  if (params.has("level"))      { opts.level = params.get("level").toUpperCase(); }
+  if (params.has("levels"))     { opts.levels = list("levels").map(function(l) { return l.toUpperCase(); }); }
+  if (params.has("context"))    { opts.context = list("context"); }
+  if (params.has("search"))     { opts.search = params.get("search"); }
+  if (params.has("regex"))      { opts.regex = params.get("regex"); }
+  if (params.has("ignoreCase")) { opts.ignoreCase = flag("ignoreCase"); }
+  if (params.has("since"))      { opts.since = parseSince(params.get("since")); }
+  if (params.has("until"))      { opts.until = parseSince(params.get("until")); }
+  if (params.has("where"))      { opts.where = params.getAll("where"); }
+  if (params.has("sort"))       { opts.sort = params.get("sort"); }
+  if (params.has("groupBy"))    { opts.groupBy = list("groupBy"); }
+  if (params.has("count"))      { opts.count = flag("count"); }
+  if (params.has("limit"))      { opts.limit = parseInt(params.get("limit"), 10); }
+  if (opts.limit !== undefined && !(opts.limit > 0)) {
+    throw new Error("Invalid limit: " + params.get("limit"));
+  }
+  return opts;
+}
+
+// ?replay=50 → 50, ?replay / ?replay=true → true, absent → false
+function replayParam(value) {
+  if (value === null) { return false; }
+  return /^\d+$/.test(value) ? Number(value) : /^(true|yes|on|)$/i.test(value);
+}
+
+// Hashing first gives timingSafeEqual two buffers of the same length
+function tokenMatches(expected, given) {
+  var a = crypto.createHash("sha256").update(String(expected)).digest();
+  var b = crypto.createHash("sha256").update(String(given)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// opts: { port, host ("127.0.0.1"), path (unix socket), mode, token,
+//         checks { name: function(callback(err, details)) }, checkTimeoutMs,
+//         maxLoopDelayMs, failOnAlerts (true or rule names), limit (100),
+//         heartbeatMs (15000), streamQueue (1000),
+//         prometheus (toPrometheus options) }
+function MonitorServer(logger, opts) {
+  opts = opts || {};
+  if (opts.port === undefined && !opts.path) {
+    throw new Error("MonitorServer needs a port or a unix socket path");
+  }
+  if (!opts.token && !opts.path) {
+    throw new Error("MonitorServer needs a token unless it listens on a unix socket");
+  }
+  this.logger       = logger;
+  this.port         = opts.port;
+  this.host         = opts.host || "127.0.0.1";
+  this.path         = opts.path || null;
+  this.mode         = (opts.mode !== undefined) ? opts.mode : (opts.token ? null : 384);   // 0600
+  this._token       = opts.token || null;
+  this._checks      = {};
+  this._checkTimeoutMs = opts.checkTimeoutMs || 2000;
+  this._limit       = opts.limit || 100;
+  this._heartbeatMs = opts.heartbeatMs || 15000;
+  this._streamQueue = opts.streamQueue || 1000;
+  this._prometheus  = opts.prometheus || {};
+  this._streams     = [];
+  this._server      = http.createServer(this._handle.bind(this));
+
+  if (opts.maxLoopDelayMs && !logger.metrics.health) {
+    throw new Error("maxLoopDelayMs needs the logger's health monitor (`health` option)");
+  }
+  if (opts.maxLoopDelayMs) { this.addCheck("eventLoop", this._loopDelayCheck(opts.maxLoopDelayMs)); }
+  if (opts.failOnAlerts)   { this.addCheck("alerts", this._alertsCheck(opts.failOnAlerts)); }
+  for (var name in (opts.checks || {})) {
+    if (opts.checks.hasOwnProperty(name)) { this.addCheck(name, opts.checks[name]); }
+  }
+}
+
+// fn(callback(err, details)); an error, a throw or a timeout fails the check
+MonitorServer.prototype.addCheck = function(name, fn) {
+  if (typeof fn !== "function") { throw new Error("Check \"" + name + "\" must be a function"); }
+  this._checks[name] = fn;
+  return this;
+};
+
+MonitorServer.prototype.removeCheck = function(name) {
+  var existed = this._checks.hasOwnProperty(name);
+  delete this._checks[name];
+  return existed;
+};
+
+MonitorServer.prototype._loopDelayCheck = function(maxMs) {
+  var metrics = this.logger.metrics;
+  return function(callback) {
+    var p99 = metrics.getValue("health.eventLoop.p99");
+    if (p99 !== null && p99 > maxMs) {
+      callback(new Error("Event-loop delay p99 " + p99 + " ms exceeds " + maxMs + " ms"), { p99: p99 });
+      return;
+    }
+    callback(null, { p99: p99 });
+  };
+};
+
+MonitorServer.prototype._alertsCheck = function(names) {
+  var alerts = this.logger.alerts;
+  return function(callback) {
+    var firing = alerts.getStates().filter(function(rule) {
+      return rule.state === "firing" && (names === true || names.indexOf(rule.name) !== -1);
+    }).map(function(rule) { return rule.name; });
+    callback(firing.length > 0 ? new Error("Firing: " + firing.join(", ")) : null, { firing: firing });
+  };
+};
+
+// Starts listening; callback(err) once bound. A stale unix socket left by a
+// crashed process is removed, a live one is reported as EADDRINUSE.
+MonitorServer.prototype.start = function(callback) {
+  var self = this;
+  callback = once(callback || function(err) {
+    if (err) { process.stderr.write("[MonitorServer] Listen failed: " + err.message + "\n"); }
+  });
+
+  function listen(retry) {
+    self._server.once("error", function(err) {
+      if (err.code !== "EADDRINUSE" || !self.path || !retry) { callback(err); return; }
+      var probe = net.connect(self.path);
+      probe.once("connect", function() { probe.destroy(); callback(err); });
+      probe.once("error", function() {
+        try { fs.unlinkSync(self.path); } catch (e) { callback(err); return; }
+        listen(false);
+      });
+    });
+    var onListening = function() {
+      self._server.removeAllListeners("error");
+      self._server.on("error", function(err) {
+        process.stderr.write("[MonitorServer] " + err.message + "\n");
+      });
+      if (self.path && self.mode !== null) {
+        try { fs.chmodSync(self.path, self.mode); } catch (err) { self.close(); callback(err); return; }
+      }
+      self._server.unref();
+      callback(null);
+    };
+    if (self.path) {
+      // The socket is created during listen(); a narrowed umask keeps it from
+      // being reachable by other users before the chmod. Worker threads
+      // can't change the umask and rely on the chmod alone.
+      var umask = null;
+      if (self.mode !== null) {
+        try { umask = process.umask(511 & ~self.mode); } catch (e) { umask = null; }   // 0777
+      }
+      try {
+        self._server.listen(self.path, onListening);
+      } finally {
+        if (umask !== null) { process.umask(umask); }
+      }
+    } else {
+      self._server.listen(self.port, self.host, onListening);
+    }
+  }
+
+  listen(true);
+  return this;
+};
+
+// { port, address } for TCP (useful with port 0), the socket path otherwise
+MonitorServer.prototype.address = function() {
+  return this._server.address();
+};
+
+// Ends open event streams, then stops listening
+MonitorServer.prototype.close = function(callback) {
+  this._streams.slice().forEach(function(end) { end(); });
+  this._server.close(function() {
+    if (callback) { callback(); }
+  });
+};
+
+MonitorServer.prototype._authorized = function(req, url) {
+  if (!this._token) { return true; }
+  var header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  var given  = header ? header[1] : url.searchParams.get("token");
+  return given !== null && tokenMatches(this._token, given);
+};
+
+MonitorServer.prototype._handle = function(req, res) {
+  var url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch (err) {
+    sendJson(res, 400, { error: "Invalid URL" });
+    return;
+  }
+  var pathname = url.pathname.replace(/\/+$/, "") || "/";
+
+  if (!this._authorized(req, url)) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    sendJson(res, 401, { error: "Unauthorized" });
+    return;
+  }
+  if (MONITOR_ROUTES.indexOf(pathname) === -1) {
+    sendJson(res, 404, { error: "Not found", routes: MONITOR_ROUTES });
+    return;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  try {
+    switch (pathname) {
+      case "/health":      this._health(res); break;
+      case "/health/live": sendJson(res, 200, { status: "ok", pid: process.pid, uptimeSeconds: Math.round(process.uptime()) }); break;
+      case "/metrics":     this._metrics(req, res, url.searchParams); break;
+      case "/logs":        this._logs(res, url.searchParams); break;
+      case "/alerts":      sendJson(res, 200, { rules: this.logger.alerts.getStates(), channels: this.logger.alerts.getChannelStats() }); break;
+      case "/logs/stream": this._stream(req, res, url.searchParams); break;
+    }
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+};
+
+function sendJson(res, status, body) {
+  var text = JSON.stringify(body) + "\n";
+  res.writeHead(status, {
+    "Content-Type":   "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(text),
+    "Cache-Control":  "no-store"
+  });
+  res.end(text);
+}
+
+MonitorServer.prototype._health = function(res) {
+  var names   = Object.keys(this._checks);
+  var checks  = {};
+  var failed  = false;
+  var pending = names.length + 1;
+  var timeoutMs = this._checkTimeoutMs;
+
+  function done() {
+    pending--;
+    if (pending > 0) { return; }
+    sendJson(res, failed ? 503 : 200, { status: failed ? "fail" : "ok", checks: checks });
+  }
+
+  names.forEach(function(name) {
+    var started = Date.now();
+    var timer;
+    var finish = once(function(err, details) {
+      clearTimeout(timer);
+      checks[name] = { status: err ? "fail" : "ok", ms: Date.now() - started };
+      if (err) {
+        failed = true;
+        checks[name].error = isError(err) ? err.message : String(err);
+      }
+      if (details !== undefined) { checks[name].details = details; }
+      done();
+    });
+    timer = setTimeout(function() { finish(new Error("Timed out after " + timeoutMs + " ms")); }, timeoutMs);
+    try {
+      this._checks[name](finish);
+    } catch (err) {
+      finish(err);
+    }
+  }, this);
+  done();
+};
+
+// An explicit ?format wins; otherwise the Accept header picks the text format
+MonitorServer.prototype._metrics = function(req, res, params) {
+  var accept = req.headers.accept || "";
+  var format = params.get("format")
+    || (accept.indexOf("application/openmetrics-text") !== -1 ? "openmetrics"
+      : (accept.indexOf("text/plain") !== -1 ? "prometheus" : "json"));
+
+  if (format === "json") {
+    sendJson(res, 200, this.logger.metrics.snapshot());
+    return;
+  }
+  if (format !== "prometheus" && format !== "openmetrics") {
+    sendJson(res, 400, { error: "Unknown format: " + format });
+    return;
+  }
+  var openMetrics = (format === "openmetrics");
+  var text = this.logger.metrics.toPrometheus(extend({}, this._prometheus, { openMetrics: openMetrics }));
+  res.writeHead(200, {
+    "Content-Type":   openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+    "Content-Length": Buffer.byteLength(text),
+    "Cache-Control":  "no-store"
+  });
+  res.end(text);
+};
+
+MonitorServer.prototype._logs = function(res, params) {
+  var opts;
+  var result;
+  try {
+    opts = queryFromParams(params);
+    if (opts.limit === undefined && !opts.count) { opts.limit = this._limit; }
+    result = this.logger.query(opts);
+  } catch (err) {
+    sendJson(res, 400, { error: err.message });
+    return;
+  }
+  if (opts.count)   { sendJson(res, 200, { count: result }); return; }
+  if (opts.groupBy) { sendJson(res, 200, { groups: result }); return; }
+  sendJson(res, 200, { count: result.length, entries: result });
+};
+
+// A Subscription per client: while the socket is backed up the stream is
+// paused, so its queue (`streamQueue`) fills and then drops the oldest;
+// the gap is reported as a "dropped" event. ?replay=N sends history first.
+MonitorServer.prototype._stream = function(req, res, params) {
+  var sub;
+  try {
+    sub = this.logger.subscribe(queryFromParams(params), {
+      replay:   replayParam(params.get("replay")),
+      maxQueue: this._streamQueue
+    });
+  } catch (err) {
+    sendJson(res, 400, { error: err.message });
+    return;
+  }
+
+  var self = this;
+  res.writeHead(200, {
+    "Content-Type":      "text/event-stream; charset=utf-8",
+    "Cache-Control":     "no-store",
+    "Connection":        "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  if (req.method === "HEAD") { sub.destroy(); res.end(); return; }
+  res.write("retry: 3000\n\n");
+
+  var heartbeat = setInterval(function() { res.write(": ping\n\n"); }, this._heartbeatMs);
+  heartbeat.unref();
+
+  var end = once(function() {
+    clearInterval(heartbeat);
+    sub.destroy();
+    self._streams.splice(self._streams.indexOf(end), 1);
+    res.end();
+  });
+
+  sub.on("data", function(entry) {
+    if (!res.write("event: log\ndata: " + JSON.stringify(entry) + "\n\n")) { sub.pause(); }
+  });
+  sub.on("drop", function(count) {
+    res.write("event: dropped\ndata: " + JSON.stringify({ count: count }) + "\n\n");
+  });
+  res.on("drain", function() { sub.resume(); });
+  res.on("close", end);
+  this._streams.push(end);
+};
+
+// ─────────────────────────────────────────────
+//  CONFIGURATION
+// ─────────────────────────────────────────────
+//
+//  Settings are layered: built-in defaults < constructor options < JSON
+//  config file (`config` option or LOG_CONFIG) < LOG_* environment
+//  variables. Only `level`, `levels` and `verbose` can change at runtime;
+//  other keys in a reloaded file are reported as needing a restart.
+
+// LOG_* variable → [option path, type]
+var ENV_OPTIONS = {
+  LOG_LEVEL:               ["level",               "string"],
+  LOG_LEVELS:              ["levels",              "levels"],
+  LOG_VERBOSE:             ["verbose",             "boolean"],
+  LOG_DIR:                 ["dir",                 "string"],
+  LOG_CONSOLE:             ["console",             "boolean"],
+  LOG_COLOR:               ["color",               "boolean"],
+  LOG_FILE:                ["file",                "boolean"],
+  LOG_JSON_FILE:           ["jsonFile",            "boolean"],
+  LOG_MAX_FILE_MB:         ["rotation.maxMB",      "number"],
+  LOG_MAX_BACKUPS:         ["rotation.maxBackups", "number"],
+  LOG_ROTATE_INTERVAL:     ["rotation.interval",   "string"],
+  LOG_COMPRESS:            ["rotation.compress",   "boolean"],
+  LOG_MAX_AGE_DAYS:        ["rotation.maxAgeDays", "number"],
+  LOG_MAX_TOTAL_MB:        ["rotation.maxTotalMB", "number"],
+  LOG_MAX_BUFFER:          ["buffer.maxBuffer",    "number"],
+  LOG_OVERFLOW:            ["buffer.overflow",     "string"],
+  LOG_DROP_LEVEL:          ["buffer.dropLevel",    "string"],
+  LOG_TIMEZONE:            ["timestamp.timezone",  "string"],
+  LOG_TIMESTAMP_PRECISION: ["timestamp.precision", "string"],
+  LOG_CONSOLE_FORMAT:      ["formats.console",     "string"],
+  LOG_JSON_FORMAT:         ["formats.json",        "string"],
+  LOG_FLUSH_INTERVAL_MS:   ["flushInterval",       "number"],
+  LOG_METRICS_INTERVAL_MS: ["metricsInterval",     "number"],
+  LOG_RING_SIZE:           ["ringSize",            "number"],
+  LOG_CLUSTER:             ["cluster",             "string"],
+  LOG_MONITOR_PORT:        ["monitor.port",        "number"],
+  LOG_MONITOR_HOST:        ["monitor.host",        "string"],
+  LOG_MONITOR_SOCKET:      ["monitor.path",        "string"],
+  LOG_MONITOR_TOKEN:       ["monitor.token",       "string"]
+};
+
+var RELOADABLE_KEYS = ["level", "levels", "verbose"];
+
+// "api:*=DEBUG,db=WARN" → { "api:*": "DEBUG", db: "WARN" }
+function parseLevelList(str) {
+  var out = {};
+  String(str).split(",").forEach(function(pair) {
+    var eq = pair.lastIndexOf("=");
+    if (eq > 0) { out[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim(); }
+  });
+  return out;
+}
+
+function envConfig(env) {
+  var out = {};
+  for (var name in ENV_OPTIONS) {
+    if (!ENV_OPTIONS.hasOwnProperty(name) || env[name] === undefined || env[name] === "") { continue; }
+    var raw   = env[name];
+    var type  = ENV_OPTIONS[name][1];
+    var value = raw;
+    if (type === "number")  { value = Number(raw); }
+    if (type === "boolean") { value = /^(1|true|yes|on)$/i.test(raw); }
+    if (type === "levels")  { value = parseLevelList(raw); }
+    if (type === "number" && isNaN(value)) {
+      throw new Error(name + " must be a number, got \"" + raw + "\"");
+    }
+
+    var keys   = ENV_OPTIONS[name][0].split(".");
+    var target = out;
+    for (var i = 0; i < keys.length - 1; i++) {
+      target = target[keys[i]] = target[keys[i]] || {};
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  var text = fs.readFileSync(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error("Invalid JSON in " + file + ": " + err.message);
+  }
+}
+
+var MERGED_KEYS = ["rotation", "buffer", "levels", "timestamp", "formats", "customLevels", "routes", "monitor"];
+
+// Later sources win; the MERGED_KEYS objects merge key by key
+function mergeConfig(target) {
+  for (var i = 1; i < arguments.length; i++) {
+    var src = arguments[i];
+    if (!src) { continue; }
+    for (var key in src) {
+      if (!src.hasOwnProperty(key)) { continue; }
+      if (MERGED_KEYS.indexOf(key) !== -1 && isPlainObject(src[key])) {
+        target[key] = extend({}, target[key], src[key]);
+      } else {
+        target[key] = src[key];
+      }
+    }
+  }
+  return target;
+}
+
+// Returns the constructor options with the config file and environment applied
+function resolveConfig(opts, env) {
+  env = env || process.env;
+  var file = (opts.config !== undefined) ? opts.config : env.LOG_CONFIG;
+  var fromFile = file ? readConfigFile(file) : null;
+  var fromEnv  = (opts.env === false) ? null : envConfig(env);
+  var resolved = mergeConfig({}, opts, fromFile, fromEnv);
+  resolved.config = file || null;
+  resolved._fromFile = fromFile || {};
+  resolved._fromEnv  = fromEnv  || {};
+  return resolved;
+}
+
 // ─────────────────────────────────────────────
 //  CORE LOGGER
 // ─────────────────────────────────────────────
@@ -391,41 +4614,86 @@ RingBuffer.prototype.query = function(opts) {
 function Logger(opts) {
   events.EventEmitter.call(this);
 
-  opts = opts || {};
+  opts = resolveConfig(opts || {});
+  for (var custom in (opts.customLevels || {})) {
+    if (opts.customLevels.hasOwnProperty(custom)) { addLevel(custom, opts.customLevels[custom]); }
+  }
   this._context       = opts.context     || "app";
-  this._level         = (opts.level !== undefined) ? opts.level : LOG_LEVELS.DEBUG;
+  this._level         = resolveLevel(opts.level, LOG_LEVELS.DEBUG);
+  this._levelRules    = [];
+  this._levelVersion  = 0;
+  this._verbose       = !!opts.verbose;
+  this._fields        = opts.fields      || null;
   this._useColor      = (opts.color !== undefined) ? opts.color : true;
   this._logToConsole  = (opts.console !== undefined) ? opts.console : true;
   this._logToFile     = (opts.file !== undefined) ? opts.file : true;
   this._jsonFile      = (opts.jsonFile !== undefined) ? opts.jsonFile : true;
+  this._dir           = opts.dir          || LOG_DIR;
+  this._rotation      = opts.rotation     || {};
+  this._buffer        = opts.buffer       || {};
+  this._formats       = opts.formats      || {};
+  this._timeFormat    = checkTimeFormat(opts.timestamp);
+  this._redactor      = !opts.redact ? null
+    : (opts.redact instanceof Redactor ? opts.redact : new Redactor(opts.redact));
   this._ringSize      = opts.ringSize     || 2000;
   this._metricsInterval = opts.metricsInterval || 30000;
+  this._flushInterval = opts.flushInterval || FLUSH_INTERVAL_MS;
+  this._configFile    = opts.config;
+  this._fileConfig    = opts._fromFile;
+  this._envConfig     = opts._fromEnv;
+  this._clusterMode   = resolveClusterMode(opts.cluster);
+  this._forwarder     = (this._clusterMode === "worker") ? new WorkerForwarder({ port: opts.workerPort }) : null;
+
+  for (var pattern in (opts.levels || {})) {
+    if (opts.levels.hasOwnProperty(pattern)) { this._setLevelRule(pattern, opts.levels[pattern], "config"); }
+  }
 
-  this.metrics    = new MetricsCollector();
-  this.alerts     = new AlertManager(this);
+  this.metrics    = new MetricsCollector({
+    histogram: opts.histogram,
+    health:    opts.health ? new HealthMonitor(opts.health === true ? {} : opts.health) : null,
+    forward:   this._forwarder ? this._forwarder.push.bind(this._forwarder) : null
+  });
+  (opts.logMetrics || []).forEach(this.metrics.addLogMetric, this.metrics);
+  this.alerts     = new AlertManager(this, this.metrics, { evaluateInterval: opts.alertInterval });
+  this._suppressor = (opts.sampling || opts.rateLimit || opts.dedupe)
+    ? new Suppressor(opts, this.metrics, this._writeSummary.bind(this)) : null;
   this._ring      = new RingBuffer(this._ringSize);
-  this._children  = [];
+  this._transports = [];
+  this.metrics.transports = this._transports;
+  this._spanExporters = [];
+  this._spanQueue = [];
+  this._resource  = {
+    "service.name": opts.serviceName || this._context,
+    "host.name":    os.hostname(),
+    "process.pid":  process.pid
+  };
 
-  if (this._logToFile) {
-    ensureDir(LOG_DIR);
-    this._textWriter = new RotatingFileWriter(
-      path.join(LOG_DIR, "app.log"), MAX_FILE_MB, MAX_BACKUPS
-    );
-    this._jsonWriter = new RotatingFileWriter(
-      path.join(LOG_DIR, "app.json.log"), MAX_FILE_MB, MAX_BACKUPS
-    );
-    this._errorWriter = new RotatingFileWriter(
-      path.join(LOG_DIR, "error.log"), MAX_FILE_MB, MAX_BACKUPS
-    );
-
-    var self = this;
-    this._flushTimer = setInterval(function() {
-      self._textWriter.flush();
-      self._jsonWriter.flush();
-      self._errorWriter.flush();
-    }, FLUSH_INTERVAL_MS);
-    this._flushTimer.unref();
+  // A worker's files belong to the primary; extra `transports` still apply
+  if (this._forwarder) {
+    this.addTransport(this._forwarder);
+  }
+  if (opts.transports) {
+    for (var t = 0; t < opts.transports.length; t++) {
+      this.addTransport(opts.transports[t]);
+    }
+  } else if (!this._forwarder) {
+    this._addDefaultTransports(opts.files || {});
   }
+  for (var routed in (opts.routes || {})) {
+    if (opts.routes.hasOwnProperty(routed) && !this._forwarder) { this.routeLevel(routed.split(","), opts.routes[routed]); }
+  }
+  (opts.spanExporters || []).forEach(this.addSpanExporter, this);
+  this._monitor = null;
+  if (opts.monitor && (opts.monitor.port !== undefined || opts.monitor.path) && !this._forwarder) {
+    this.startMonitor(opts.monitor);
+  }
+
+  var self = this;
+  this._flushTimer = setInterval(function() {
+    self._flushTransports();
+    self.flushSpans();
+  }, this._flushInterval);
+  this._flushTimer.unref();
 
   this._metricsTimer = setInterval(
     this._emitMetrics.bind(this),
@@ -433,38 +4701,181 @@ function Logger(opts) {
   );
   this._metricsTimer.unref();
 
+  if (this._suppressor && this._suppressor._dedupe) {
+    this._dedupeTimer = setInterval(function() {
+      self._suppressor.sweep();
+    }, Math.min(1000, this._suppressor._dedupe.windowMs));
+    this._dedupeTimer.unref();
+  }
+
+  if (this._forwarder) {
+    this._snapshotTimer = setInterval(this._sendSnapshot.bind(this), opts.workerSnapshotMs || 5000);
+    this._snapshotTimer.unref();
+    setImmediate(this._sendSnapshot.bind(this));
+  }
+  if (this._clusterMode === "primary") {
+    this.metrics.workers = {};
+    if (!cluster.isWorker) {
+      for (var wid in cluster.workers) {
+        if (cluster.workers.hasOwnProperty(wid)) { this.attachWorker(cluster.workers[wid]); }
+      }
+      cluster.on("fork", this.attachWorker.bind(this));
+    }
+  }
+
   process.on("uncaughtException", this._onUncaughtException.bind(this));
   process.on("unhandledRejection", this._onUnhandledRejection.bind(this));
   process.on("exit", this._onExit.bind(this));
   process.on("SIGINT",  this._onSignal.bind(this, "SIGINT"));
   process.on("SIGTERM", this._onSignal.bind(this, "SIGTERM"));
+
+  // Opt-in: a handler replaces the signal's default action, and tools such as
+  // nodemon use SIGUSR2 themselves
+  if (opts.verboseSignal && process.platform !== "win32") {
+    process.on(opts.verboseSignal, this.toggleVerbose.bind(this));
+  }
+  if (this._configFile && opts.watchConfig !== false) {
+    this.watchConfig(opts.configPollMs);
+  }
 }
 
 util.inherits(Logger, events.EventEmitter);
 
+// Console plus app.log / app.json.log / error.log, as configured by the
+// `console`, `file` and `jsonFile` options. `files` overrides the file names
+// and `formats` their formatters ({ console, text, json, error });
+// `rotation` and `buffer` are passed to every file transport.
+Logger.prototype._addDefaultTransports = function(files) {
+  var formats = this._formats;
+  if (this._logToConsole) {
+    this.addTransport(new ConsoleTransport({ color: this._useColor, formatter: formats.console }));
+  }
+  if (this._logToFile) {
+    ensureDir(this._dir);
+    this.addTransport(new FileTransport(extend({}, this._rotation, this._buffer, {
+      name: "text", dir: this._dir, filename: files.text || "app.log",
+      formatter: formats.text || formatters.text
+    })));
+    if (this._jsonFile) {
+      this.addTransport(new FileTransport(extend({}, this._rotation, this._buffer, {
+        name: "json", dir: this._dir, filename: files.json || "app.json.log",
+        formatter: formats.json || formatters.json
+      })));
+    }
+    this.addTransport(new FileTransport(extend({}, this._rotation, this._buffer, {
+      name: "error", dir: this._dir, filename: files.error || "error.log",
+      formatter: formats.error || formatters.json, level: "ERROR"
+    })));
+  }
+};
+
+// ── Transport management ──────────────────────
+Logger.prototype.addTransport = function(transport) {
+  if (!transport || typeof transport.log !== "function") {
+    throw new TypeError("Transport must implement log(entry)");
+  }
+  this._transports.push(transport);
+  return this;
+};
+
+Logger.prototype.removeTransport = function(nameOrTransport) {
+  for (var i = 0; i < this._transports.length; i++) {
+    var t = this._transports[i];
+    if (t === nameOrTransport || (t.name && t.name === nameOrTransport)) {
+      this._transports.splice(i, 1);
+      if (typeof t.close === "function") {
+        t.close();
+      } else if (typeof t.flush === "function") {
+        t.flush();
+      }
+      return t;
+    }
+  }
+  return null;
+};
+
+Logger.prototype.getTransport = function(name) {
+  for (var i = 0; i < this._transports.length; i++) {
+    if (this._transports[i].name === name) { return this._transports[i]; }
+  }
+  return null;
+};
+
+Logger.prototype._flushTransports = function(callback) {
+  var pending = 1;
+  function done() {
+    pending--;
+    if (pending === 0 && callback) { callback(); }
+  }
+  for (var i = 0; i < this._transports.length; i++) {
+    if (typeof this._transports[i].flush === "function") {
+      pending++;
+      this._transports[i].flush(done);
+    }
+  }
+  done();
+};
+
+// Resolves once every transport has written its buffer and queued spans
+// have been exported
+Logger.prototype.flush = function() {
+  var self = this;
+  return new Promise(function(resolve) {
+    var pending = 2;
+    function done() {
+      pending--;
+      if (pending === 0) { resolve(); }
+    }
+    self._flushTransports(done);
+    self.flushSpans(done);
+  });
+};
+
+// Writes buffered file lines before returning; for exit and crash paths
+Logger.prototype.flushSync = function() {
+  for (var i = 0; i < this._transports.length; i++) {
+    var transport = this._transports[i];
+    if (typeof transport.flushSync !== "function") { continue; }
+    try {
+      transport.flushSync();
+    } catch (err) {
+      process.stderr.write("[Logger] Transport \"" + (transport.name || i) + "\" flush failed: " + err.message + "\n");
+    }
+  }
+};
+
 Logger.prototype._emitMetrics = function() {
   var snap = this.metrics.snapshot();
   this.emit("metrics", snap);
   this.info("[Monitor] Metrics snapshot", snap.memory);
 };
 
+// Runs fn inside the context the error was thrown from, when it is known
+function withErrorContext(err, fn) {
+  var store = (err && typeof err === "object") ? errorContexts.get(err) : undefined;
+  if (getContext() || !store) { return fn(); }
+  return contextStorage.run(store, fn);
+}
+
 Logger.prototype._onUncaughtException = function(err) {
-  this.fatal("UncaughtException: " + err.message, { stack: err.stack });
+  var self = this;
+  withErrorContext(err, function() {
+    self.fatal("UncaughtException: " + (isError(err) ? err.message : String(err)), { err: err });
+  });
 };
 
 Logger.prototype._onUnhandledRejection = function(reason) {
-  var msg = (reason instanceof Error) ? reason.message : String(reason);
-  this.error("UnhandledPromiseRejection: " + msg,
-    { stack: (reason instanceof Error) ? reason.stack : null });
+  var self = this;
+  var msg  = isError(reason) ? reason.message : String(reason);
+  withErrorContext(reason, function() {
+    self.error("UnhandledPromiseRejection: " + msg, { err: reason });
+  });
 };
 
 Logger.prototype._onExit = function(code) {
+  if (this._suppressor) { this._suppressor.sweep(Infinity); }
   this.info("Process exiting", { code: code });
-  if (this._logToFile) {
-    this._textWriter.flush();
-    this._jsonWriter.flush();
-    this._errorWriter.flush();
-  }
+  this.flushSync();
 };
 
 Logger.prototype._onSignal = function(sig) {
@@ -472,34 +4883,276 @@ Logger.prototype._onSignal = function(sig) {
 };
 
 // Core write method
-Logger.prototype._write = function(levelName, message, meta) {
+// Meta precedence: async context < bound fields < call meta.
+// An Error as message or meta is logged as meta.err.
+// `force` skips the level check and suppression (used for config changes).
+Logger.prototype._write = function(levelName, message, meta, force) {
   var level = LOG_LEVELS[levelName];
-  if (level === undefined || level < this._level) { return; }
+  if (level === undefined || (!force && level < this._effectiveLevel())) { return; }
+
+  if (isError(message)) {
+    meta    = (meta === undefined || meta === null) ? { err: message }
+      : (isPlainObject(meta) ? extend({ err: message }, meta) : { err: message, value: meta });
+    message = message.message;
+  } else if (isError(meta)) {
+    meta = { err: meta };
+  }
+
+  var store = contextStorage.getStore();
+  if (store || this._fields) { meta = mergeContext(extend({}, store, this._fields), meta); }
+
+  var entry = buildEntry(level, levelName, message, meta, this._context, this._timeFormat);
+  var span  = spanStorage.getStore();
+  if (span) {
+    entry.traceId = span.traceId;
+    entry.spanId  = span.spanId;
+  }
+  if (!force && this._suppressor && this._suppressor.check(entry)) { return; }
+  entry.meta = serializeMeta(entry.meta);
+  if (this._redactor) { this._redactor.apply(entry); }
+  this._dispatch(entry);
+};
 
-  var entry = buildEntry(level, levelName, message, meta, this._context);
+Logger.prototype._writeSummary = function(entry) {
+  if (this._redactor) { this._redactor.apply(entry); }
+  this._dispatch(entry);
+};
+
+// Hands a built entry to the ring buffer, metrics, alerts and every transport.
+// consoleView: a child's { console, color } settings for console transports.
+Logger.prototype._dispatch = function(entry, consoleView) {
   this._ring.push(entry);
-  this.metrics.incrementLevel(levelName);
+  this.metrics.incrementLevel(entry.level);
+  this.metrics.observeEntry(entry);
   this.alerts.evaluate(entry);
   this.emit("log", entry);
 
-  if (this._logToConsole) {
-    var line = entryToText(entry, this._useColor);
-    if (level >= LOG_LEVELS.ERROR) {
-      process.stderr.write(line + "\n");
-    } else {
-      process.stdout.write(line + "\n");
+  for (var i = 0; i < this._transports.length; i++) {
+    var transport = this._transports[i];
+    if (!transportAccepts(transport, entry)) { continue; }
+    var toConsole = !!consoleView && transport instanceof ConsoleTransport;
+    if (toConsole && consoleView.console === false) { continue; }
+    try {
+      if (toConsole) { transport.log(entry, consoleView.color); } else { transport.log(entry); }
+    } catch (err) {
+      process.stderr.write("[Logger] Transport \"" + (transport.name || i) + "\" failed: " + err.message + "\n");
     }
   }
+  // The process may not survive a fatal error long enough for a timed flush
+  if (entry.levelCode >= LOG_LEVELS.FATAL) { this.flushSync(); }
+};
 
-  if (this._logToFile) {
-    var textLine = entryToText(entry, false);
-    var jsonLine = entryToJson(entry);
-    this._textWriter.write(textLine);
-    this._jsonWriter.write(jsonLine);
-    if (level >= LOG_LEVELS.ERROR) {
-      this._errorWriter.write(jsonLine);
+// ── Runtime level control ─────────────────────
+// A logger's level is, in order: TRACE while verbose mode is on; the most
+// specific setLevel(pattern) rule matching its context (exact name beats
+// glob, longer glob beats shorter); its own level; its parent's level.
+// The result is cached until any level setting changes.
+Logger.prototype._effectiveLevel = function() {
+  var root = this._root || this;
+  var cache = this._levelCache;
+  if (cache && cache.version === root._levelVersion) { return cache.level; }
+
+  var level = root._verbose ? LOG_LEVELS.TRACE : root._ruleLevel(this._context);
+  if (level === undefined) { level = this._baseLevel(); }
+  this._levelCache = { version: root._levelVersion, level: level };
+  return level;
+};
+
+Logger.prototype._baseLevel = function() {
+  return this._level;
+};
+
+Logger.prototype._ruleLevel = function(context) {
+  var best = null;
+  for (var i = 0; i < this._levelRules.length; i++) {
+    var rule = this._levelRules[i];
+    if (rule.match(context) && (!best || rule.rank > best.rank)) { best = rule; }
+  }
+  return best ? best.level : undefined;
+};
+
+function levelName(code) {
+  for (var name in LOG_LEVELS) {
+    if (LOG_LEVELS.hasOwnProperty(name) && LOG_LEVELS[name] === code) { return name; }
+  }
+  return String(code);
+}
+
+function toLevelCode(level) {
+  var code = resolveLevel(level, undefined);
+  if (code === undefined) { throw new Error("Unknown log level: " + level); }
+  return code;
+}
+
+// Returns the previous level of the rule, or undefined if it is new
+Logger.prototype._setLevelRule = function(pattern, level, source) {
+  var previous;
+  for (var i = 0; i < this._levelRules.length; i++) {
+    if (this._levelRules[i].pattern === pattern) {
+      previous = this._levelRules[i].level;
+      this._levelRules.splice(i, 1);
+      break;
+    }
+  }
+  if (level !== null) {
+    this._levelRules.push({
+      pattern: pattern,
+      match:   contextMatcher(pattern),
+      rank:    (pattern.indexOf("*") === -1) ? Infinity : pattern.length,
+      level:   toLevelCode(level),
+      source:  source
+    });
+  }
+  this._levelVersion++;
+  return previous;
+};
+
+// setLevel(level)          — this logger's own level
+// setLevel(pattern, level) — every logger whose context matches ("api", "api:*");
+//                            a null level removes the rule
+Logger.prototype.setLevel = function(pattern, level) {
+  var root = this._root || this;
+  var previous;
+
+  if (arguments.length < 2) {
+    level = pattern;
+    var code = toLevelCode(level);
+    previous = levelName(this._effectiveLevel());
+    this._setOwnLevel(code);
+    root._levelVersion++;
+    var effective = levelName(this._effectiveLevel());
+    root._write("INFO", "Log level for \"" + this._context + "\" set to " + levelName(code)
+      + (effective !== levelName(code) ? " (" + effective + " applies: verbose mode or a setLevel rule overrides it)" : ""),
+      { context: this._context, level: levelName(code), previous: previous, effective: effective }, true);
+    return this;
+  }
+
+  if (level !== null) { toLevelCode(level); }
+  previous = root._setLevelRule(pattern, level, "api");
+  var prevName = (previous === undefined) ? null : levelName(previous);
+  if (level === null) {
+    root._write("INFO", "Log level rule for \"" + pattern + "\" removed",
+      { pattern: pattern, previous: prevName }, true);
+  } else {
+    root._write("INFO", "Log level for \"" + pattern + "\" set to " + levelName(toLevelCode(level)),
+      { pattern: pattern, level: levelName(toLevelCode(level)), previous: prevName }, true);
+  }
+  return this;
+};
+
+Logger.prototype._setOwnLevel = function(code) {
+  this._level = code;
+};
+
+Logger.prototype.getLevel = function() {
+  return levelName(this._effectiveLevel());
+};
+
+// { level, verbose, rules: { pattern: LEVEL } } for the whole logger tree
+Logger.prototype.getLevels = function() {
+  var root  = this._root || this;
+  var rules = {};
+  root._levelRules.forEach(function(rule) { rules[rule.pattern] = levelName(rule.level); });
+  return { level: levelName(root._level), verbose: root._verbose, rules: rules };
+};
+
+// Verbose mode logs everything at TRACE and up, whatever the other settings
+Logger.prototype.setVerbose = function(on) {
+  var root = this._root || this;
+  on = !!on;
+  if (root._verbose === on) { return this; }
+  root._verbose = on;
+  root._levelVersion++;
+  root._write("INFO", "Verbose mode " + (on ? "on" : "off"), { verbose: on }, true);
+  return this;
+};
+
+Logger.prototype.toggleVerbose = function() {
+  var root = this._root || this;
+  return this.setVerbose(!root._verbose);
+};
+
+// ── Config file reload ────────────────────────
+Logger.prototype.watchConfig = function(pollMs) {
+  var self = this;
+  if (!this._configFile || this._configListener) { return this; }
+  this._configListener = function(curr, prev) {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) { self.reloadConfig(); }
+  };
+  fs.watchFile(this._configFile, { interval: pollMs || 1000, persistent: false }, this._configListener);
+  return this;
+};
+
+Logger.prototype.unwatchConfig = function() {
+  if (this._configListener) {
+    fs.unwatchFile(this._configFile, this._configListener);
+    this._configListener = null;
+  }
+  return this;
+};
+
+// Re-reads the config file and applies the level settings that changed
+// since the last read, so a setLevel() call stands until the file itself
+// changes that key. Environment variables still take precedence.
+// Returns false if the file is invalid.
+Logger.prototype.reloadConfig = function() {
+  var file = this._configFile;
+  var next;
+  try {
+    next = readConfigFile(file);
+    if (next.level !== undefined) { toLevelCode(next.level); }
+    for (var key in (next.levels || {})) {
+      if (next.levels.hasOwnProperty(key)) { toLevelCode(next.levels[key]); }
+    }
+  } catch (err) {
+    this._write("ERROR", "Config reload failed: " + err.message, { file: file }, true);
+    return false;
+  }
+
+  var before = mergeConfig({}, this._fileConfig, this._envConfig);
+  var after  = mergeConfig({}, next, this._envConfig);
+
+  if (after.level !== undefined && after.level !== before.level) {
+    this.setLevel(after.level);
+  }
+
+  var oldLevels = before.levels || {};
+  var newLevels = after.levels  || {};
+  var pattern;
+  for (pattern in oldLevels) {
+    var rule = this._ruleFor(pattern);
+    if (oldLevels.hasOwnProperty(pattern) && !newLevels.hasOwnProperty(pattern) && rule && rule.source === "config") {
+      this.setLevel(pattern, null);
     }
   }
+  for (pattern in newLevels) {
+    if (newLevels.hasOwnProperty(pattern) && newLevels[pattern] !== oldLevels[pattern]) {
+      this.setLevel(pattern, newLevels[pattern]);
+      this._ruleFor(pattern).source = "config";
+    }
+  }
+
+  if (after.verbose !== undefined && after.verbose !== before.verbose) {
+    this.setVerbose(after.verbose);
+  }
+
+  var keys = Object.keys(extend({}, this._fileConfig, next));
+  for (var i = 0; i < keys.length; i++) {
+    if (RELOADABLE_KEYS.indexOf(keys[i]) === -1
+        && JSON.stringify(this._fileConfig[keys[i]]) !== JSON.stringify(next[keys[i]])) {
+      this._write("WARN", "Config key \"" + keys[i] + "\" changed; restart to apply it", { file: file, key: keys[i] }, true);
+    }
+  }
+  this._fileConfig = next;
+  this._write("INFO", "Config reloaded", { file: file }, true);
+  return true;
+};
+
+Logger.prototype._ruleFor = function(pattern) {
+  for (var i = 0; i < this._levelRules.length; i++) {
+    if (this._levelRules[i].pattern === pattern) { return this._levelRules[i]; }
+  }
+  return null;
 };
 
 // ── Public log-level methods ──────────────────
@@ -511,6 +5164,84 @@ Logger.prototype.warn    = function(msg, meta) { this._write("WARN",    msg, met
 Logger.prototype.error   = function(msg, meta) { this._write("ERROR",   msg, meta); };
 Logger.prototype.fatal   = function(msg, meta) { this._write("FATAL",   msg, meta); };
 
+// ── Custom levels ─────────────────────────────
+var COLOR_CODES = {
+  bold: 1, dim: 2, underline: 4, inverse: 7,
+  black: 30, red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, white: 37,
+  grey: 90, gray: 90, brightRed: 91, brightGreen: 92, brightYellow: 93, brightBlue: 94,
+  brightMagenta: 95, brightCyan: 96, brightWhite: 97,
+  bgRed: 41, bgGreen: 42, bgYellow: 43, bgBlue: 44, bgMagenta: 45, bgCyan: 46
+};
+
+// "bold magenta" → escape sequence; raw escape sequences pass through
+function colorCode(spec) {
+  if (String(spec).charAt(0) === "\x1b") { return spec; }
+  return String(spec).split(/\s+/).map(function(name) {
+    if (!COLOR_CODES.hasOwnProperty(name)) { throw new Error("Unknown color \"" + name + "\""); }
+    return "\x1b[" + COLOR_CODES[name] + "m";
+  }).join("");
+}
+
+// Registers a level such as AUDIT: adds it to LOG_LEVELS, gives every
+// logger an audit(msg, meta) method, and makes the name usable wherever a
+// level is accepted (options, setLevel, queries, alert rules, transports).
+// Registering an existing level again only updates its color and label.
+// opts: { severity (0–99, unique), color (name or escape sequence), label }
+function addLevel(name, opts) {
+  opts = opts || {};
+  var upper    = String(name).toUpperCase();
+  var method   = upper.toLowerCase();
+  var exists   = LOG_LEVELS.hasOwnProperty(upper);
+  var severity = (opts.severity !== undefined) ? opts.severity : LOG_LEVELS[upper];
+
+  if (!/^[A-Z][A-Z0-9_]*$/.test(upper)) { throw new Error("Invalid level name \"" + name + "\""); }
+  if (!exists && (method in Logger.prototype || ANSI.hasOwnProperty(method))) {
+    throw new Error("Level name " + upper + " is reserved");
+  }
+  if (typeof severity !== "number" || !(severity >= 0 && severity < LOG_LEVELS.SILENT)) {
+    throw new Error("Level " + upper + " needs a severity from 0 to 99");
+  }
+  if (exists && severity !== LOG_LEVELS[upper]) {
+    throw new Error("Level " + upper + " already has severity " + LOG_LEVELS[upper]);
+  }
+  for (var other in LOG_LEVELS) {
+    if (LOG_LEVELS.hasOwnProperty(other) && other !== upper && LOG_LEVELS[other] === severity) {
+      throw new Error("Severity " + severity + " is already used by " + other);
+    }
+  }
+
+  var color = opts.color ? colorCode(opts.color) : null;
+  LOG_LEVELS[upper] = severity;
+  if (color)      { ANSI[method] = color; }
+  if (opts.label) { LEVEL_LABELS[upper] = opts.label; }
+  if (!exists) {
+    Logger.prototype[method] = function(msg, meta) { this._write(upper, msg, meta); };
+  }
+  return severity;
+}
+
+Logger.addLevel = addLevel;
+
+// Copies entries of the given level(s) into their own JSON file, the way
+// error.log collects ERROR and above: log.routeLevel("AUDIT", "audit.log").
+// Relative names go in the logger's `dir`; opts are FileTransport options.
+Logger.prototype.routeLevel = function(levels, filename, opts) {
+  var root = this._root || this;
+  levels = (Array.isArray(levels) ? levels : [levels]).map(function(level) {
+    var upper = String(level).toUpperCase();
+    if (!LOG_LEVELS.hasOwnProperty(upper)) { throw new Error("Unknown level \"" + level + "\""); }
+    return upper;
+  });
+  var file = path.resolve(root._dir, filename);
+  return this.addTransport(new FileTransport(extend({}, root._rotation, root._buffer, {
+    name:      path.basename(file).replace(/\.log$/, ""),
+    dir:       path.dirname(file),
+    filename:  path.basename(file),
+    formatter: formatters.json,
+    levels:    levels
+  }, opts)));
+};
+
 // ── Timer helpers ─────────────────────────────
 Logger.prototype.startTimer = function(name) {
   this.metrics.startTimer(name);
@@ -535,36 +5266,181 @@ Logger.prototype.timeAsync = function(name, fn, callback) {
   });
 };
 
-// ── Child logger (forked context) ─────────────
-Logger.prototype.child = function(childContext, extraOpts) {
-  extraOpts = extraOpts || {};
-  var child = new Logger({
-    context:   childContext,
-    level:     extraOpts.level     || this._level,
-    color:     extraOpts.color     !== undefined ? extraOpts.color : this._useColor,
-    console:   extraOpts.console   !== undefined ? extraOpts.console : this._logToConsole,
-    file:      false,   // child writes go to parent transport
-    ringSize:  extraOpts.ringSize  || 500
-  });
-
-  // Pipe child events to parent
-  var parent = this;
-  child.on("log", function(entry) {
-    parent._ring.push(entry);
-    parent.metrics.incrementLevel(entry.level);
-    parent.alerts.evaluate(entry);
-    parent.emit("log", entry);
-    if (parent._logToFile) {
-      parent._textWriter.write(entryToText(entry, false));
-      parent._jsonWriter.write(entryToJson(entry));
-      if (LOG_LEVELS[entry.level] >= LOG_LEVELS.ERROR) {
-        parent._errorWriter.write(entryToJson(entry));
-      }
+// ── Tracing spans ─────────────────────────────
+// The new span is a child of the active span unless opts.parent,
+// opts.traceparent or opts.root say otherwise. It is not made active.
+Logger.prototype.startSpan = function(name, opts) {
+  return new Span(this, name, opts);
+};
+
+// Runs fn(span) with the span active and ends it when fn returns or its
+// promise settles; exceptions and rejections are recorded on the span
+Logger.prototype.withSpan = function(name, opts, fn) {
+  if (typeof opts === "function") { fn = opts; opts = {}; }
+  var span = this.startSpan(name, opts);
+  var result;
+  try {
+    result = spanStorage.run(span, function() { return fn(span); });
+  } catch (err) {
+    span.recordException(err);
+    span.end();
+    throw err;
+  }
+  if (result && typeof result.then === "function") {
+    return result.then(function(value) {
+      span.end();
+      return value;
+    }, function(err) {
+      span.recordException(err);
+      span.end();
+      throw err;
+    });
+  }
+  span.end();
+  return result;
+};
+
+Logger.prototype.getActiveSpan = function() {
+  return getActiveSpan();
+};
+
+Logger.prototype.addSpanExporter = function(exporter) {
+  if (!exporter || typeof exporter.export !== "function") {
+    throw new TypeError("Span exporter must implement export(request, callback)");
+  }
+  this._spanExporters.push(exporter);
+  return this;
+};
+
+Logger.prototype._endSpan = function(span) {
+  this.metrics.recordTiming(span.name, span.durationMs());
+  this.emit("span", span);
+  if (this._forwarder) { this._forwarder.push("spans", span.toJSON()); }
+  if (this._spanExporters.length === 0) { return; }
+  this._spanQueue.push(span);
+  if (this._spanQueue.length >= SPAN_BATCH_SIZE) { this.flushSpans(); }
+};
+
+// Sends queued spans to every exporter in batches
+Logger.prototype.flushSpans = function(callback) {
+  var pending = 1;
+  function done() {
+    pending--;
+    if (pending === 0 && callback) { callback(); }
+  }
+  while (this._spanQueue.length > 0) {
+    var request = toOtlpRequest(this._spanQueue.splice(0, SPAN_BATCH_SIZE), this._resource);
+    for (var i = 0; i < this._spanExporters.length; i++) {
+      pending++;
+      this._exportSpans(this._spanExporters[i], request, done);
     }
+  }
+  done();
+};
+
+Logger.prototype._exportSpans = function(exporter, request, callback) {
+  var finish = once(function(err) {
+    if (err) { process.stderr.write("[Logger] Span export failed: " + err.message + "\n"); }
+    callback();
+  });
+  try {
+    exporter.export(request, finish);
+  } catch (err) {
+    finish(err);
+  }
+};
+
+// ── Cluster workers ───────────────────────────
+// Accepts a cluster Worker, a worker_threads Worker or a forked ChildProcess
+// whose logger runs with `cluster: "worker"`. Cluster workers are attached
+// automatically by a primary logger.
+Logger.prototype.attachWorker = function(worker) {
+  if (!this.metrics.workers) {
+    throw new Error("attachWorker needs a logger created with cluster: \"primary\"");
+  }
+  var id   = (worker.id !== undefined) ? worker.id
+    : (worker.threadId !== undefined ? worker.threadId : worker.pid);
+  var pid  = worker.process ? worker.process.pid : (worker.threadId !== undefined ? process.pid : worker.pid);
+  var info = new WorkerInfo(id, pid);
+  var self = this;
+  var workers = this.metrics.workers;
+
+  if (workers[id]) { return this; }
+  workers[id] = info;
+  worker.on("message", function(message) {
+    if (message && message[WORKER_MESSAGE]) { self._onWorkerMessage(info, message); }
   });
+  worker.once("exit", function() {
+    if (workers[id] === info) { delete workers[id]; }
+  });
+  return this;
+};
+
+Logger.prototype._onWorkerMessage = function(info, message) {
+  info.lastSeen = Date.now();
+  if (message[WORKER_MESSAGE] === "snapshot") {
+    info.snapshot = message.snapshot;
+    return;
+  }
+  var i;
+  for (i = 0; i < message.timings.length; i++) {
+    this.metrics.recordTiming(message.timings[i][0], message.timings[i][1]);
+  }
+  for (i = 0; i < message.suppressed.length; i++) {
+    this.metrics.recordSuppressed(message.suppressed[i][0], message.suppressed[i][1]);
+  }
+  for (i = 0; i < message.entries.length; i++) {
+    var entry = message.entries[i];
+    entry.workerId = info.id;
+    this._dispatch(entry);
+  }
+  if (this._spanExporters.length === 0) { return; }
+  for (i = 0; i < message.spans.length; i++) {
+    var span = message.spans[i];
+    span.attributes["worker.id"] = info.id;
+    this._spanQueue.push(span);
+  }
+  if (this._spanQueue.length >= SPAN_BATCH_SIZE) { this.flushSpans(); }
+};
+
+// Timers are left out: their samples were forwarded one by one
+Logger.prototype._sendSnapshot = function() {
+  var snap = this.metrics.snapshot();
+  delete snap.timers;
+  delete snap.os;
+  this._forwarder.sendSnapshot(snap);
+};
+
+// ── Monitor endpoint ──────────────────────────
+// opts: see MonitorServer. callback(err) once listening; without one,
+// a listen error is written to stderr. Children share the root's endpoint.
+Logger.prototype.startMonitor = function(opts, callback) {
+  var root = this._root || this;
+  if (root._monitor) { throw new Error("The monitor endpoint is already running"); }
+  root._monitor = new MonitorServer(root, opts).start(callback);
+  return root._monitor;
+};
+
+Logger.prototype.stopMonitor = function(callback) {
+  var root    = this._root || this;
+  var monitor = root._monitor;
+  root._monitor = null;
+  if (monitor) { monitor.close(callback); } else if (callback) { callback(); }
+};
+
+// ── Child logger (forked context) ─────────────
+// opts: { level, fields, console, color } — see ChildLogger
+Logger.prototype.child = function(childContext, opts) {
+  return new ChildLogger(this, childContext, opts);
+};
+
+// ── Request context ───────────────────────────
+Logger.prototype.runWithContext = function(fields, fn) {
+  return runWithContext(fields, fn);
+};
 
-  this._children.push(child);
-  return child;
+Logger.prototype.getContext = function() {
+  return getContext();
 };
 
 // ── Query ring buffer ─────────────────────────
@@ -572,7 +5448,34 @@ Logger.prototype.query = function(opts) {
   return this._ring.query(opts || {});
 };
 
+// ── Live subscriptions ────────────────────────
+// filter: as for query(); opts: { replay, maxQueue, highWaterMark } — see Subscription
+Logger.prototype.subscribe = function(filter, opts) {
+  return new Subscription(this, filter, opts);
+};
+
+// ── Query JSON log files on disk ────────────
+// Defaults to the "json" transport's file; pass `file` to read another one.
+Logger.prototype.queryFiles = function(opts) {
+  opts = opts || {};
+  var transport = opts.file ? null : this.getTransport("json");
+  if (!opts.file && !(transport && transport.filePath)) {
+    throw new Error("queryFiles: no \"json\" file transport; pass opts.file");
+  }
+  var filePath = opts.file || transport.filePath;
+  return queryLogFiles(filePath, opts, function(start) {
+    if (transport) { transport.flush(start); } else { start(); }
+  });
+};
+
 // ── Print formatted metrics report ───────────
+// A counter value or the stats of a histogram series
+function describeLogMetric(value) {
+  if (value === null) { return "no samples"; }
+  if (typeof value === "number") { return String(value); }
+  return "avg=" + value.avg + " p95=" + value.p95 + " p99=" + value.p99 + " max=" + value.max + " n=" + value.count;
+}
+
 Logger.prototype.report = function() {
   var snap  = this.metrics.snapshot();
   var sep   = ANSI.border + "─".repeat(60) + ANSI.reset;
@@ -615,6 +5518,11 @@ Logger.prototype.report = function() {
       );
     }
   }
+  var sup = snap.suppressed;
+  if (sup.sampled + sup.rateLimited + sup.deduplicated > 0) {
+    process.stdout.write(label + "    Suppressed : " + val + "sampled " + sup.sampled
+      + ", rate-limited " + sup.rateLimited + ", deduplicated " + sup.deduplicated + reset + "\n");
+  }
 
   if (Object.keys(snap.timers).length > 0) {
     process.stdout.write("\n" + bold + "  Timers (ms)" + reset + "\n");
@@ -640,13 +5548,179 @@ Logger.prototype.report = function() {
     }
   }
 
+  if (snap.logMetrics) {
+    process.stdout.write("\n" + bold + "  Log Metrics" + reset + "\n");
+    for (var mn in snap.logMetrics) {
+      if (!snap.logMetrics.hasOwnProperty(mn)) { continue; }
+      var lm = snap.logMetrics[mn];
+      process.stdout.write(label + "    " + padStart(mn, 14, " ") + " : " + val + describeLogMetric(lm.total) + reset + "\n");
+      for (var sk in (lm.series || {})) {
+        if (lm.series.hasOwnProperty(sk)) {
+          process.stdout.write(label + "      " + padStart(sk, 14, " ") + " : " + val + describeLogMetric(lm.series[sk]) + reset + "\n");
+        }
+      }
+    }
+  }
+
+  if (snap.transports && Object.keys(snap.transports).length > 0) {
+    process.stdout.write("\n" + bold + "  Transports" + reset + "\n");
+    for (var tn in snap.transports) {
+      if (!snap.transports.hasOwnProperty(tn)) { continue; }
+      var counters = [];
+      for (var ck in snap.transports[tn]) {
+        if (snap.transports[tn].hasOwnProperty(ck)) { counters.push(ck + " " + snap.transports[tn][ck]); }
+      }
+      process.stdout.write(label + "    " + padStart(tn, 14, " ") + " : " + val + counters.join(", ") + reset + "\n");
+    }
+  }
+
+  if (snap.health) {
+    var h   = snap.health;
+    var gcs = [];
+    for (var kind in h.gc.byKind) {
+      if (h.gc.byKind.hasOwnProperty(kind)) {
+        var g = h.gc.byKind[kind];
+        gcs.push(kind + " " + g.count + "× " + g.totalMs + " ms (max " + g.maxMs + ")");
+      }
+    }
+    process.stdout.write("\n" + bold + "  Health" + reset + "\n");
+    process.stdout.write(label + "    Loop delay : " + val + "p50=" + h.eventLoop.p50 + " p99=" + h.eventLoop.p99
+      + " max=" + h.eventLoop.max + " ms" + reset + "\n");
+    process.stdout.write(label + "    CPU        : " + val + (h.cpu.percent === null ? "—" : h.cpu.percent + " %") + reset + "\n");
+    process.stdout.write(label + "    Heap       : " + val + h.heap.usedMB + " / " + h.heap.limitMB + " MB ("
+      + h.heap.usedPercent + " %)" + reset + "\n");
+    process.stdout.write(label + "    GC         : " + val + (gcs.join(", ") || "none") + reset + "\n");
+    process.stdout.write(label + "    Handles    : " + val + h.handles.total + " " + JSON.stringify(h.handles.byType) + reset + "\n");
+  }
+
+  if (snap.workers) {
+    var ids = Object.keys(snap.workers);
+    process.stdout.write("\n" + bold + "  Workers (" + ids.length + ")" + reset + "\n");
+    ids.forEach(function(id) {
+      var w = snap.workers[id];
+      if (!w.memory) {
+        process.stdout.write(label + "    " + padStart(id, 6, " ") + " : " + val + "pid " + w.pid + ", no snapshot yet" + reset + "\n");
+        return;
+      }
+      var entries = 0;
+      for (var lvl in w.logCounts) {
+        if (w.logCounts.hasOwnProperty(lvl)) { entries += w.logCounts[lvl]; }
+      }
+      process.stdout.write(label + "    " + padStart(id, 6, " ") + " : " + val + "pid " + w.pid
+        + "  up " + w.uptimeFormatted + "  heap " + w.memory.heapUsed + "  rss " + w.memory.rss
+        + (w.health ? "  cpu " + (w.health.cpu.percent === null ? "—" : w.health.cpu.percent + " %")
+          + "  loop p99 " + w.health.eventLoop.p99 + " ms" : "")
+        + "  entries " + entries + reset + "\n");
+    });
+  }
+
   process.stdout.write(sep + "\n\n");
 };
 
+// ─────────────────────────────────────────────
+//  CHILD LOGGER
+// ─────────────────────────────────────────────
+//
+//  A child is a thin view over its root logger: it shares the root's
+//  transports, ring buffer, metrics, alerts, span exporters and events, and
+//  adds only its context name, bound fields, an optional level override and
+//  console settings.
+//  Children start no timers and register no process listeners, so one per
+//  request is cheap. Nested children join contexts with ":" ("api:users").
+
+function ChildLogger(parent, childContext, opts) {
+  opts = opts || {};
+  var root = parent._root || parent;
+
+  this._root     = root;
+  this._parent   = parent;
+  this._context  = parent._parent ? parent._context + ":" + childContext : childContext;
+  this._fields   = (parent._fields || opts.fields) ? extend({}, parent._fields, opts.fields) : null;
+  this._levelOverride = resolveLevel(opts.level, undefined);
+  this._timeFormat    = root._timeFormat;
+
+  // `console: false` keeps this child's entries off the root's console
+  // transports; `color` switches their coloring. Nested children inherit both.
+  var view = extend({}, parent._consoleView);
+  if (opts.console !== undefined) { view.console = !!opts.console; }
+  if (opts.color !== undefined)   { view.color   = !!opts.color; }
+  this._consoleView = (view.console !== undefined || view.color !== undefined) ? view : null;
+
+  this.metrics   = root.metrics;
+  this.alerts    = root.alerts;
+  this._ring     = root._ring;
+  this._redactor = root._redactor;
+  this._suppressor = root._suppressor;
+  this._transports    = root._transports;
+  this._spanExporters = root._spanExporters;
+  this._spanQueue     = root._spanQueue;
+  this._resource      = root._resource;
+}
+
+util.inherits(ChildLogger, Logger);
+
+// Without an override a child follows its parent, even after the parent changes
+ChildLogger.prototype._baseLevel = function() {
+  return (this._levelOverride !== undefined) ? this._levelOverride : this._parent._effectiveLevel();
+};
+
+ChildLogger.prototype._setOwnLevel = function(code) {
+  this._levelOverride = code;
+};
+
+ChildLogger.prototype._dispatch = function(entry) {
+  this._root._dispatch(entry, this._consoleView);
+};
+
+ChildLogger.prototype._endSpan = function(span) {
+  this._root._endSpan(span);
+};
+
+// Events belong to the root: child.on("log", …) sees every entry
+["on", "addListener", "prependListener", "once", "prependOnceListener", "off",
+  "removeListener", "removeAllListeners", "emit", "listeners", "listenerCount"].forEach(function(method) {
+  ChildLogger.prototype[method] = function() {
+    return events.EventEmitter.prototype[method].apply(this._root, arguments);
+  };
+});
+
 // ─────────────────────────────────────────────
 //  MODULE EXPORTS
 // ─────────────────────────────────────────────
-module.exports = { Logger: Logger, LOG_LEVELS: LOG_LEVELS };
+module.exports = {
+  Logger:           Logger,
+  ChildLogger:      ChildLogger,
+  LOG_LEVELS:       LOG_LEVELS,
+  addLevel:         addLevel,
+  ANSI:             ANSI,
+  ConsoleTransport: ConsoleTransport,
+  FileTransport:    FileTransport,
+  SyslogTransport:  SyslogTransport,
+  Redactor:         Redactor,
+  MetricsCollector: MetricsCollector,
+  HealthMonitor:    HealthMonitor,
+  MonitorServer:    MonitorServer,
+  WebhookNotifier:  WebhookNotifier,
+  SmtpNotifier:     SmtpNotifier,
+  CommandNotifier:  CommandNotifier,
+  FileNotifier:     FileNotifier,
+  Histogram:        Histogram,
+  LogMetric:        LogMetric,
+  Subscription:     Subscription,
+  queryLogFiles:    queryLogFiles,
+  runWithContext:   runWithContext,
+  getActiveSpan:    getActiveSpan,
+  OtlpFileExporter: OtlpFileExporter,
+  OtlpHttpExporter: OtlpHttpExporter,
+  getContext:       getContext,
+  compileQuery:     compileQuery,
+  PROMETHEUS_CONTENT_TYPE:  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE: OPENMETRICS_CONTENT_TYPE,
+  formatters:       formatters,
+  registerFormatter: registerFormatter,
+  resolveFormatter: resolveFormatter,
+  entryToText:      entryToText
+};
 
 
 /* ═══════════════════════════════════════════════════════
@@ -663,7 +5737,8 @@ if (require.main === module) {
     color:           true,
     console:         true,
     file:            true,
-    metricsInterval: 60000       // emit metrics every 60s
+    metricsInterval: 60000,      // emit metrics every 60s
+    health:          true        // event-loop, CPU, GC and heap stats
   });
 
   // ── Alert rule: fire on any ERROR+ ──────────